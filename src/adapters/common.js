@@ -0,0 +1,224 @@
+const fse = require("fs-extra");
+const { join } = require("path");
+const glob = require("tiny-glob");
+
+const { cdnSettings, cdnHost } = require("../cdn");
+const {
+  ENCODINGS,
+  compressionSettings,
+  isCompressible,
+  compress
+} = require("../compression");
+const {
+  proxiesJson,
+  forwardingHandler,
+  forwardingFunctionJson
+} = require("../templates");
+
+/**
+ * Keeps the Next configuration on the action configuration, its base path and asset prefix decide
+ * where things are routed and stored
+ */
+function useNextConfig(config, nextConfig) {
+  config.nextConfig = nextConfig;
+  config.basePath = (nextConfig.basePath || "").replace(/^\/|\/$/g, "");
+  // An absolute asset prefix points somewhere else entirely, only a path changes the routes
+  config.assetPrefix = /^https?:\/\//.test(nextConfig.assetPrefix || "")
+    ? config.basePath
+    : (nextConfig.assetPrefix || config.basePath).replace(/^\/|\/$/g, "");
+}
+
+/**
+ * Path the assets are stored under in the container, so apps with different base paths can share it
+ */
+function blobPrefix(basePath) {
+  return basePath ? `${basePath}/` : "";
+}
+
+/**
+ * Url the assets are fetched from, through the CDN if there is one
+ */
+function assetsUrl(config) {
+  const { storageAccount, assetsContainerName, basePath } = config;
+  const cdn = cdnSettings(config);
+  const host = cdn ? cdnHost(cdn) : `${storageAccount}.blob.core.windows.net`;
+  return `https://${host}/${assetsContainerName}/${blobPrefix(basePath)}`;
+}
+
+async function copyStaticAssets(config) {
+  const { sourcePath, buildAssetOutputPath } = config;
+
+  console.log("Copying static assets");
+  await fse.copy(
+    join(sourcePath, ".next/static"),
+    join(buildAssetOutputPath, "static")
+  );
+}
+
+/**
+ * Writes compressed variants of the assets if compression is configured, and lists them in
+ * compressed.json in the package, keyed by the path of their blob, for the functions serving them
+ */
+async function compressAssets(config) {
+  const { buildAssetOutputPath, buildPagesOutputPath } = config;
+  const settings = compressionSettings(config);
+  if (!settings) {
+    return;
+  }
+
+  console.log("Compressing assets...");
+  const blobPath = `${new URL(assetsUrl(config)).pathname}_next/`;
+  const files = await glob("**/*", {
+    cwd: buildAssetOutputPath,
+    filesOnly: true,
+    dot: true
+  });
+  const compressed = {};
+  for (const file of files.filter(isCompressible)) {
+    const data = await fse.readFile(join(buildAssetOutputPath, file));
+    if (data.length < settings.threshold) {
+      continue;
+    }
+    const variants = compress(data, settings);
+    for (const variant of variants) {
+      await fse.writeFile(
+        join(buildAssetOutputPath, file + variant.extension),
+        variant.data
+      );
+    }
+    if (variants.length > 0) {
+      compressed[`${blobPath}${file.replace(/\\/g, "/")}`] = variants.map(
+        variant => variant.name
+      );
+    }
+  }
+
+  await fse.writeFile(
+    join(buildPagesOutputPath, "compressed.json"),
+    JSON.stringify(compressed),
+    {
+      encoding: "utf-8"
+    }
+  );
+}
+
+/**
+ * Copies the module that gives pages a Node request and response into a function folder
+ */
+async function copyAdapter(folder) {
+  await fse.copy(
+    join(__dirname, "../runtime/adapter.js"),
+    join(folder, "adapter.js")
+  );
+}
+
+/**
+ * Indicates whether the Functions runtime the app is deployed to still supports proxies.json
+ */
+function supportsProxies(config) {
+  return Number(config.functionsVersion) < 4;
+}
+
+/**
+ * Resolves the route of a forwarding function standing in for a proxy
+ *
+ * @returns The route relative to the route prefix, or `undefined` if the proxy's route is outside
+ * the base path, which the route prefix of functions always adds
+ */
+function functionRoute(config, proxy) {
+  const { basePath } = config;
+  const route = proxy.matchCondition.route.replace(/^\//, "");
+  if (!basePath) {
+    return route;
+  }
+  if (route !== basePath && !route.startsWith(`${basePath}/`)) {
+    return undefined;
+  }
+  return route.substring(basePath.length + 1) || "/";
+}
+
+/**
+ * Writes the proxies into proxies.json, or as forwarding functions on runtimes that dropped proxies.
+ * With compression, proxies serving assets are always written as functions, which pick the
+ * variant the client accepts.
+ *
+ * @param proxies Proxy definitions keyed by name, routes include the base path
+ */
+async function writeProxies(config, proxies) {
+  const { buildPagesOutputPath } = config;
+  const encodings = compressionSettings(config)
+    ? ENCODINGS.map(({ name, extension }) => ({ name, extension }))
+    : [];
+  const servesAssets = proxy =>
+    (proxy.backendUri || "").startsWith(assetsUrl(config));
+  const servesVariants = proxy =>
+    encodings.length > 0 &&
+    (proxy.backendUri || "").startsWith(`${assetsUrl(config)}_next/`);
+
+  const forwarded = Object.keys(proxies).filter(
+    name =>
+      !supportsProxies(config) ||
+      (servesVariants(proxies[name]) &&
+        functionRoute(config, proxies[name]) !== undefined)
+  );
+
+  if (supportsProxies(config)) {
+    console.log("Generating proxy configuration...");
+    const remaining = Object.keys(proxies)
+      .filter(name => !forwarded.includes(name))
+      .reduce(
+        (result, name) => Object.assign(result, { [name]: proxies[name] }),
+        {}
+      );
+    await fse.writeFile(
+      join(buildPagesOutputPath, "proxies.json"),
+      proxiesJson(remaining),
+      {
+        encoding: "utf-8"
+      }
+    );
+  }
+  if (forwarded.length === 0) {
+    return;
+  }
+
+  console.log("Generating forwarding functions in place of proxies...");
+  for (const name of forwarded) {
+    const proxy = proxies[name];
+    const route = functionRoute(config, proxy);
+    if (route === undefined) {
+      throw new Error(
+        `Unable to serve '${proxy.matchCondition.route}' without proxies: it is outside the base path '${config.basePath}'.`
+      );
+    }
+
+    const folder = join(buildPagesOutputPath, name);
+    await fse.outputFile(
+      join(folder, "index.js"),
+      forwardingHandler(
+        proxy,
+        servesVariants(proxy) ? encodings : [],
+        servesAssets(proxy)
+      ),
+      {
+        encoding: "utf-8"
+      }
+    );
+    await fse.writeFile(
+      join(folder, "function.json"),
+      forwardingFunctionJson(proxy, route),
+      {
+        encoding: "utf-8"
+      }
+    );
+  }
+}
+
+exports.useNextConfig = useNextConfig;
+exports.blobPrefix = blobPrefix;
+exports.assetsUrl = assetsUrl;
+exports.copyStaticAssets = copyStaticAssets;
+exports.compressAssets = compressAssets;
+exports.copyAdapter = copyAdapter;
+exports.supportsProxies = supportsProxies;
+exports.writeProxies = writeProxies;
@@ -0,0 +1,40 @@
+const fse = require("fs-extra");
+const { join } = require("path");
+
+const serverless = require("./serverless");
+const standalone = require("./standalone");
+
+/**
+ * Picks the build adapter for the version of Next.js installed in the app
+ *
+ * @param sourcePath Path to the Next.js app
+ * @returns The adapter with its `build` and `package` steps
+ */
+async function selectAdapter(sourcePath) {
+  let version;
+  try {
+    ({ version } = await fse.readJson(
+      join(sourcePath, "node_modules", "next", "package.json")
+    ));
+  } catch (e) {
+    throw new Error(
+      "Unable to load next module. Make sure next is in your package.json and you have run 'npm install'."
+    );
+  }
+
+  const major = parseInt(version, 10);
+  if (major >= 9 && major <= 11) {
+    console.log(`Using serverless build for Next.js ${version}`);
+    return serverless;
+  }
+  if (major >= 12) {
+    console.log(`Using standalone build for Next.js ${version}`);
+    return standalone;
+  }
+
+  throw new Error(
+    `Next.js ${version} is not supported. Supported versions are 9 to 11 (serverless target) and 12 or later (standalone output).`
+  );
+}
+
+exports.selectAdapter = selectAdapter;
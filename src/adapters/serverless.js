@@ -0,0 +1,349 @@
+const core = require("@actions/core");
+const fse = require("fs-extra");
+const { join } = require("path");
+
+const { NextBuild } = require("../next");
+const {
+  applyRoutePrecedence,
+  fallbackConstraint,
+  routePattern,
+  escapeRegex
+} = require("../routing");
+const { loadNextRules, rulePatterns } = require("../nextRules");
+const { parseNextConfiguration } = require("../parseNextConfiguration");
+const {
+  proxies,
+  assetProxyPatterns,
+  handler,
+  apiHandler,
+  notFoundHandler,
+  routerHandler,
+  functionJson,
+  catchAllFunctionJson,
+  hostJson
+} = require("../templates");
+const {
+  useNextConfig,
+  assetsUrl,
+  copyStaticAssets,
+  compressAssets,
+  copyAdapter,
+  writeProxies
+} = require("./common");
+
+// Next.js 9 - 11: pages are built with the serverless target and each page becomes a function
+
+async function build(config) {
+  const { sourcePath } = config;
+
+  console.log("Building next application");
+  let nextBuild;
+  try {
+    nextBuild = require.main.require(
+      `${sourcePath}/node_modules/next/dist/build`
+    ).default;
+  } catch (e) {
+    throw new Error(
+      "Unable to load next module. Make sure next is in your package.json and you have run 'npm install'."
+    );
+  }
+  // Always use serverless configuration target
+  const nextConfig = await parseNextConfiguration(sourcePath, "serverless");
+  await nextBuild(sourcePath, nextConfig);
+
+  useNextConfig(config, nextConfig);
+}
+
+async function package(config) {
+  const {
+    sourcePath,
+    buildPagesOutputPath,
+    buildAssetOutputPath,
+    nextConfig,
+    basePath,
+    assetPrefix
+  } = config;
+
+  console.log("Packaging next application");
+
+  console.log("Evaluating rewrites, redirects and headers");
+  const rules = await loadNextRules(nextConfig);
+
+  console.log("Scanning next build output");
+  const buildOutput = new NextBuild(sourcePath);
+  await buildOutput.init(buildPagesOutputPath);
+
+  console.log("Resolving route precedence...");
+  // Pages come back in Next.js priority order with routes constrained accordingly
+  const { pages, warnings } = applyRoutePrecedence(buildOutput.routablePages);
+  for (const warning of warnings) {
+    core.warning(warning);
+  }
+
+  // Pages that can be requested without knowing their parameters, the smoke tests check them
+  config.routes = pages
+    .filter(p => !p.isDynamicallyRouted && !p.isApiRoute)
+    .map(p => p.nextRoute);
+
+  if (config.packaging === "router") {
+    await writeRouterFunction(config, buildOutput, pages, rules);
+  } else {
+    await writePageFunctions(config, buildOutput, pages, rules);
+  }
+
+  await writeProxies(
+    config,
+    proxies(
+      assetsUrl(config),
+      pages,
+      buildOutput.dataFiles,
+      rules,
+      basePath,
+      assetPrefix
+    )
+  );
+
+  console.log("Generating host configuration...");
+  await fse.writeFile(
+    join(buildPagesOutputPath, "host.json"),
+    hostJson(basePath),
+    {
+      encoding: "utf-8"
+    }
+  );
+
+  await copyStaticAssets(config);
+
+  for (const staticPage of buildOutput.pages.filter(p => p.isStatic)) {
+    await fse.copy(
+      staticPage.pageSourcePath,
+      join(buildAssetOutputPath, "pages", staticPage.targetPageFileName)
+    );
+  }
+
+  for (const dataFile of buildOutput.dataFiles) {
+    await fse.copy(
+      dataFile.dataSourcePath,
+      join(buildAssetOutputPath, dataFile.assetPath)
+    );
+  }
+
+  await compressAssets(config);
+}
+
+/**
+ * Creates a function for every server-rendered page and its data route, plus a fallback serving
+ * the app's 404 page
+ *
+ * @param rules Rules returned by `loadNextRules`
+ */
+async function writePageFunctions(config, buildOutput, pages, rules) {
+  const { buildPagesOutputPath } = config;
+  const { errorPage, notFoundPage } = buildOutput;
+
+  console.log("Processing SSR pages...");
+  // Wrap non-static pages in custom handler
+  for (const page of pages.filter(p => !p.isStatic)) {
+    await writePageFunction(
+      page.targetFolder,
+      page,
+      errorPage,
+      page.processedRoute,
+      rules.headers
+    );
+
+    // Client-side navigation fetches the page's props from a separate data route
+    const dataRoute = buildOutput.dataRouteFor(page);
+    if (dataRoute) {
+      await writePageFunction(
+        join(buildPagesOutputPath, `data_${page.identifier}`),
+        page,
+        errorPage,
+        dataRoute,
+        rules.headers
+      );
+    }
+  }
+
+  // Serve unknown URLs with the app's own 404 page instead of Azure's, rules may be served by
+  // functions too
+  const fallbackPage = notFoundPage || errorPage;
+  const notFoundConstraint = fallbackConstraint(
+    pages,
+    assetProxyPatterns.concat(rulePatterns(rules))
+  );
+  if (fallbackPage && notFoundConstraint) {
+    console.log("Adding not found fallback...");
+    const fallbackFolder = join(buildPagesOutputPath, "not_found");
+    const fallbackFileName = fallbackPage.isStatic
+      ? "404.html"
+      : fallbackPage.targetPageFileName;
+
+    await fse.copy(
+      fallbackPage.pageSourcePath,
+      join(fallbackFolder, fallbackFileName)
+    );
+    if (!fallbackPage.isStatic) {
+      await copyAdapter(fallbackFolder);
+    }
+    await fse.writeFile(
+      join(fallbackFolder, "index.js"),
+      notFoundHandler(fallbackFileName, fallbackPage.isStatic),
+      {
+        encoding: "utf-8"
+      }
+    );
+    await fse.writeFile(
+      join(fallbackFolder, "function.json"),
+      catchAllFunctionJson(notFoundConstraint),
+      {
+        encoding: "utf-8"
+      }
+    );
+  }
+}
+
+/**
+ * Creates a single function that routes to every server-rendered page itself, so a cold start
+ * warms up the whole app and every page bundle is only deployed once
+ *
+ * @param rules Rules returned by `loadNextRules`
+ */
+async function writeRouterFunction(config, buildOutput, pages, rules) {
+  const { buildPagesOutputPath } = config;
+  const { errorPage, notFoundPage } = buildOutput;
+  const folder = join(buildPagesOutputPath, "router");
+
+  console.log("Processing SSR pages into router...");
+  const copied = {};
+  const copyPage = async page => {
+    const fileName = `${page.identifier}${page.isStatic ? ".html" : ".js"}`;
+    if (!copied[fileName]) {
+      await fse.copy(page.pageSourcePath, join(folder, "pages", fileName));
+      copied[fileName] = `../pages/${fileName}`;
+    }
+    return copied[fileName];
+  };
+  const errorPageName = errorPage && (await copyPage(errorPage));
+  await copyAdapter(join(folder, "routes"));
+
+  const pageRoutes = [];
+  const dataRoutes = [];
+  for (const page of pages.filter(p => !p.isStatic)) {
+    const pageName = await copyPage(page);
+    const handlerName = `${page.identifier}.js`;
+    await fse.outputFile(
+      join(folder, "routes", handlerName),
+      page.isApiRoute
+        ? apiHandler(pageName, rules.headers)
+        : handler(pageName, errorPageName, rules.headers),
+      {
+        encoding: "utf-8"
+      }
+    );
+
+    const route = `./routes/${handlerName}`;
+    pageRoutes.push(Object.assign({ handler: route }, routePattern(page.route)));
+    if (buildOutput.dataRouteFor(page)) {
+      dataRoutes.push(
+        Object.assign(
+          { handler: route },
+          routePattern(
+            `_next/data/${buildOutput.buildId}/${page.route || "index"}`,
+            ".json"
+          )
+        )
+      );
+    }
+  }
+
+  // Data routes go first, a catch-all page would otherwise claim them
+  const routes = dataRoutes.concat(pageRoutes);
+
+  let fallbackHandler;
+  const fallbackPage = notFoundPage || errorPage;
+  if (fallbackPage) {
+    const pageName = await copyPage(fallbackPage);
+    await fse.outputFile(
+      join(folder, "routes", "not_found.js"),
+      notFoundHandler(pageName, fallbackPage.isStatic),
+      {
+        encoding: "utf-8"
+      }
+    );
+    fallbackHandler = "./routes/not_found.js";
+  }
+
+  await fse.writeFile(
+    join(folder, "index.js"),
+    routerHandler(routes, fallbackHandler),
+    {
+      encoding: "utf-8"
+    }
+  );
+
+  // Everything that isn't served from blob storage or by a rule ends up in the router
+  const staticPages = pages.filter(p => p.isStatic);
+  const reserved = [
+    "_next/static/.*",
+    "[^/]+\\.[^/]+",
+    ...buildOutput.dataFiles
+      .filter(dataFile => !dataFile.revalidates)
+      .map(dataFile => escapeRegex(dataFile.dataRoute)),
+    ...rulePatterns(rules)
+  ];
+  await fse.writeFile(
+    join(folder, "function.json"),
+    catchAllFunctionJson(fallbackConstraint(staticPages, reserved) || ".*"),
+    {
+      encoding: "utf-8"
+    }
+  );
+}
+
+async function writePageFunction(folder, page, errorPage, route, headerRules) {
+  // Copying to new folder
+  await fse.copy(page.pageSourcePath, join(folder, page.targetPageFileName));
+  await copyAdapter(folder);
+
+  // Wrapping with handler, API routes get the raw request instead of a render
+  if (page.isApiRoute) {
+    await fse.writeFile(
+      join(folder, "index.js"),
+      apiHandler(page.targetPageFileName, headerRules),
+      {
+        encoding: "utf-8"
+      }
+    );
+  } else {
+    if (errorPage) {
+      await fse.copy(
+        errorPage.pageSourcePath,
+        join(folder, errorPage.targetPageFileName)
+      );
+    }
+    await fse.writeFile(
+      join(folder, "index.js"),
+      handler(
+        page.targetPageFileName,
+        errorPage && errorPage.targetPageFileName,
+        headerRules
+      ),
+      {
+        encoding: "utf-8"
+      }
+    );
+  }
+
+  // Adding function declaration
+  await fse.writeFile(
+    join(folder, "function.json"),
+    functionJson(page, route),
+    {
+      encoding: "utf-8"
+    }
+  );
+}
+
+exports.build = build;
+exports.package = package;
@@ -0,0 +1,153 @@
+const fse = require("fs-extra");
+const { join, posix } = require("path");
+const { spawn } = require("child_process");
+
+const { fallbackConstraint } = require("../routing");
+const { loadHeaderRules } = require("../nextRules");
+const { parseNextConfiguration } = require("../parseNextConfiguration");
+const {
+  proxies,
+  standaloneHandler,
+  catchAllFunctionJson,
+  hostJson
+} = require("../templates");
+const {
+  useNextConfig,
+  assetsUrl,
+  copyStaticAssets,
+  compressAssets,
+  copyAdapter,
+  writeProxies
+} = require("./common");
+
+// Next.js 12+: the app is built with `output: "standalone"` and its server runs inside a single
+// function, which forwards every request that isn't for an asset in blob storage
+
+/**
+ * Patterns for the paths served by the asset proxies, everything else goes to the server
+ */
+const assetPatterns = ["_next/static/.*", "[^/]+\\.[^/]+"];
+
+async function build(config) {
+  const { sourcePath } = config;
+
+  console.log("Building next application");
+  const nextConfig = await parseNextConfiguration(sourcePath);
+
+  await new Promise((resolve, reject) => {
+    const nextBuild = spawn(
+      process.execPath,
+      [join(sourcePath, "node_modules/next/dist/bin/next"), "build"],
+      {
+        cwd: sourcePath,
+        stdio: "inherit",
+        // Produces the standalone output even if next.config.js doesn't ask for it
+        env: Object.assign({}, process.env, { NEXT_PRIVATE_STANDALONE: "true" })
+      }
+    );
+    nextBuild.on("error", reject);
+    nextBuild.on("exit", code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Next build failed with exit code ${code}`));
+      }
+    });
+  });
+
+  useNextConfig(config, nextConfig);
+}
+
+async function package(config) {
+  const {
+    sourcePath,
+    buildPagesOutputPath,
+    nextConfig,
+    basePath,
+    assetPrefix
+  } = config;
+
+  console.log("Packaging next application");
+
+  const standalonePath = join(sourcePath, ".next", "standalone");
+  if (!(await fse.pathExists(standalonePath))) {
+    throw new Error(
+      `Unable to find the standalone build in '${standalonePath}'. Set output: "standalone" in next.config.js.`
+    );
+  }
+
+  // Apps in a monorepo are nested inside the standalone output
+  const { relativeAppDir = "" } = await fse.readJson(
+    join(sourcePath, ".next", "required-server-files.json")
+  );
+
+  // Pages that can be requested without knowing their parameters, the smoke tests check them
+  const pagesManifestPath = join(
+    sourcePath,
+    ".next",
+    "server",
+    "pages-manifest.json"
+  );
+  config.routes = (await fse.pathExists(pagesManifestPath))
+    ? Object.keys(await fse.readJson(pagesManifestPath)).filter(
+        route =>
+          !/^\/(_|api(\/|$))/.test(route) &&
+          !route.includes("[") &&
+          !["/404", "/500"].includes(route)
+      )
+    : ["/"];
+
+  console.log("Copying standalone server...");
+  await fse.copy(standalonePath, join(buildPagesOutputPath, "server"));
+
+  console.log("Generating server function...");
+  const functionFolder = join(buildPagesOutputPath, "next");
+  await fse.outputFile(
+    join(functionFolder, "index.js"),
+    standaloneHandler(
+      posix.join("..", "server", relativeAppDir.replace(/\\/g, "/"), "server.js")
+    ),
+    {
+      encoding: "utf-8"
+    }
+  );
+  await copyAdapter(functionFolder);
+  await fse.writeFile(
+    join(functionFolder, "function.json"),
+    catchAllFunctionJson(fallbackConstraint([], assetPatterns)),
+    {
+      encoding: "utf-8"
+    }
+  );
+
+  // The server applies rewrites, redirects and headers itself, only assets need the headers added.
+  // Rewrites and redirects are left to it entirely, including those Azure routing can't express.
+  const headers = await loadHeaderRules(nextConfig);
+
+  await writeProxies(
+    config,
+    proxies(
+      assetsUrl(config),
+      [],
+      [],
+      { rewrites: [], redirects: [], headers, basePath },
+      basePath,
+      assetPrefix
+    )
+  );
+
+  console.log("Generating host configuration...");
+  await fse.writeFile(
+    join(buildPagesOutputPath, "host.json"),
+    hostJson(basePath),
+    {
+      encoding: "utf-8"
+    }
+  );
+
+  await copyStaticAssets(config);
+  await compressAssets(config);
+}
+
+exports.build = build;
+exports.package = package;
@@ -0,0 +1,273 @@
+// Keeps the app settings of the function app in line with the configuration. The settings come
+// from an optional `.env` style file committed to the repository, overridden by the `app-settings`
+// input, and are compared to the settings the app has. Only what differs is changed, and settings
+// that are no longer configured can be removed. Values may be Key Vault references, the function
+// app's managed identity is then given access to the vaults.
+
+const core = require("@actions/core");
+const fse = require("fs-extra");
+const { join } = require("path");
+
+// set by the action itself or by Azure, never removed
+const OWNED_KEYS = [
+  "WEBSITE_RUN_FROM_PACKAGE",
+  "FUNCTIONS_EXTENSION_VERSION",
+  "WEBSITE_NODE_DEFAULT_VERSION",
+  "FUNCTIONS_WORKER_RUNTIME",
+  "AzureWebJobsStorage",
+  "AzureWebJobsDashboard",
+  "WEBSITE_CONTENTAZUREFILECONNECTIONSTRING",
+  "WEBSITE_CONTENTSHARE",
+  "APPINSIGHTS_INSTRUMENTATIONKEY",
+  "APPLICATIONINSIGHTS_CONNECTION_STRING"
+];
+
+/**
+ * Resolves the `appSettings` configuration value
+ *
+ * @returns `{ envFile, removeUnmanaged, keep }`
+ */
+function appSettingsOptions(config) {
+  const options = Object.assign(
+    { envFile: undefined, removeUnmanaged: false, keep: [] },
+    config.appSettings
+  );
+  if (options.envFile !== undefined && typeof options.envFile !== "string") {
+    throw new Error(
+      `Configuration value is invalid: appSettings.envFile. Expected a path, actual '${options.envFile}'`
+    );
+  }
+  if (typeof options.removeUnmanaged !== "boolean") {
+    throw new Error(
+      `Configuration value is invalid: appSettings.removeUnmanaged. Expected true or false, actual '${options.removeUnmanaged}'`
+    );
+  }
+  if (
+    !Array.isArray(options.keep) ||
+    options.keep.some(key => typeof key !== "string")
+  ) {
+    throw new Error(
+      `Configuration value is invalid: appSettings.keep. Expected a list of setting names, actual '${options.keep}'`
+    );
+  }
+  return options;
+}
+
+/**
+ * Masks every app setting value in the log, GitHub only masks the secret holding them as a whole
+ */
+function maskAppSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("Input is invalid: app-settings. Expected a JSON object");
+  }
+  for (const key of Object.keys(settings)) {
+    // the runner masks a multi-line value line by line
+    for (const line of String(settings[key]).split(/\r?\n/)) {
+      if (line.trim()) {
+        core.setSecret(line);
+      }
+    }
+  }
+}
+
+// double quoted values may hold escaped line breaks and quotes
+function unescape(value) {
+  return value.replace(
+    /\\([nr"\\])/g,
+    (_, char) => ({ n: "\n", r: "\r" }[char] || char)
+  );
+}
+
+/**
+ * Parses the content of a `.env` file: `KEY=value` lines, optionally prefixed with `export`, with
+ * blank lines and `#` comments in between. Quoted values may span several lines.
+ */
+function parseEnvFile(content, file) {
+  const settings = {};
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+    const match = /^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      throw new Error(
+        `Unable to read app settings from '${file}': line ${i +
+          1} isn't of the form KEY=value`
+      );
+    }
+    const [, key] = match;
+    let value = match[2];
+    const quote = /^["']/.test(value) ? value[0] : undefined;
+    if (!quote) {
+      // an unquoted value ends where a comment starts
+      settings[key] = value.replace(/\s+#.*$/, "");
+      continue;
+    }
+
+    const closed = new RegExp(`^${quote}([^]*)${quote}\\s*(?:#.*)?$`);
+    const start = i;
+    while (!closed.test(value)) {
+      if (++i === lines.length) {
+        throw new Error(
+          `Unable to read app settings from '${file}': the value of ${key} on line ${start +
+            1} has no closing quote`
+        );
+      }
+      value = `${value}\n${lines[i]}`;
+    }
+    const content = closed.exec(value)[1];
+    settings[key] = quote === '"' ? unescape(content) : content;
+  }
+  return settings;
+}
+
+/**
+ * Collects the app settings the configuration asks for, the `app-settings` input overriding the
+ * env file. Every value is masked in the log, those of the file are as secret as the input's.
+ */
+async function loadAppSettings(config) {
+  const { sourcePath, appSecretsJSON } = config;
+  const { envFile } = appSettingsOptions(config);
+  let settings = {};
+
+  if (envFile) {
+    const path = join(sourcePath, envFile);
+    if (!(await fse.pathExists(path))) {
+      throw new Error(
+        `Configuration value is invalid: appSettings.envFile. File doesn't exist, actual '${envFile}'`
+      );
+    }
+    settings = parseEnvFile(await fse.readFile(path, "utf-8"), envFile);
+  }
+  if (appSecretsJSON) {
+    settings = Object.assign(settings, JSON.parse(appSecretsJSON));
+  }
+  for (const key of Object.keys(settings)) {
+    settings[key] = String(settings[key]);
+  }
+  maskAppSettings(settings);
+  return settings;
+}
+
+/**
+ * Finds the vault a Key Vault reference points to
+ *
+ * @returns The name of the vault, or `undefined` if the value isn't a Key Vault reference
+ */
+function keyVaultOf(key, value) {
+  const match = /^@Microsoft\.KeyVault\((.*)\)$/i.exec(value.trim());
+  if (!match) {
+    return undefined;
+  }
+  const parameters = {};
+  for (const parameter of match[1].split(";")) {
+    const separator = parameter.indexOf("=");
+    if (separator > 0) {
+      parameters[
+        parameter.substring(0, separator).trim()
+      ] = parameter.substring(separator + 1).trim();
+    }
+  }
+  if (parameters.SecretUri) {
+    const host = /^https:\/\/([\w-]+)\.vault\.[\w.]+(:\d+)?\/secrets\//i.exec(
+      parameters.SecretUri
+    );
+    if (host) {
+      return host[1];
+    }
+  } else if (parameters.VaultName && parameters.SecretName) {
+    return parameters.VaultName;
+  }
+  throw new Error(
+    `App setting is invalid: ${key}. Expected a Key Vault reference with a SecretUri, or a VaultName and a SecretName`
+  );
+}
+
+/**
+ * Compares the settings an app has with the configured ones
+ *
+ * @returns The keys as `{ added, changed, removed, unchanged }`, `removed` only holding settings
+ * that aren't configured if `removeUnmanaged` is set
+ */
+function diffAppSettings(current, desired, options) {
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const key of Object.keys(desired).sort()) {
+    if (!(key in current)) {
+      diff.added.push(key);
+    } else if (current[key] !== desired[key]) {
+      diff.changed.push(key);
+    } else {
+      diff.unchanged.push(key);
+    }
+  }
+  if (options.removeUnmanaged) {
+    const kept = OWNED_KEYS.concat(options.keep);
+    diff.removed = Object.keys(current)
+      .filter(key => !(key in desired) && !kept.includes(key))
+      .sort();
+  }
+  return diff;
+}
+
+function formatDiff(diff) {
+  const lines = []
+    .concat(diff.added.map(key => `  + ${key}`))
+    .concat(diff.changed.map(key => `  ~ ${key}`))
+    .concat(diff.removed.map(key => `  - ${key}`));
+  if (diff.unchanged.length > 0) {
+    lines.push(`  ${diff.unchanged.length} unchanged`);
+  }
+  return lines.length > 0 ? lines.join("\n") : "  no changes";
+}
+
+/**
+ * Brings the app settings of the target in line with the configuration, printing what changes.
+ * Values are never printed, they are usually secrets.
+ *
+ * @param target The function app or slot the package was deployed to
+ */
+async function applyAppSettings(provider, config, target) {
+  const options = appSettingsOptions(config);
+  const desired = await loadAppSettings(config);
+  if (Object.keys(desired).length === 0 && !options.removeUnmanaged) {
+    return;
+  }
+
+  const current = await provider.getAppSettings(target);
+  const diff = diffAppSettings(current, desired, options);
+  console.log(`App settings:\n${formatDiff(diff)}`);
+
+  const vaults = Object.keys(desired).reduce((found, key) => {
+    const vault = keyVaultOf(key, desired[key]);
+    return vault && !found.includes(vault) ? found.concat([vault]) : found;
+  }, []);
+  if (vaults.length > 0) {
+    console.log(`Granting access to Key Vaults ${vaults.join(", ")}...`);
+    await provider.grantKeyVaultAccess(target, vaults);
+    // the identity of a slot stays with it, production resolves the references after a swap
+    if (target.slot) {
+      await provider.grantKeyVaultAccess(config, vaults);
+    }
+  }
+
+  const changed = diff.added.concat(diff.changed);
+  if (changed.length > 0) {
+    await provider.setAppSettings(
+      target,
+      changed.reduce(
+        (settings, key) => Object.assign(settings, { [key]: desired[key] }),
+        {}
+      )
+    );
+  }
+  if (diff.removed.length > 0) {
+    await provider.deleteAppSettings(target, diff.removed);
+  }
+}
+
+exports.appSettingsOptions = appSettingsOptions;
+exports.maskAppSettings = maskAppSettings;
+exports.parseEnvFile = parseEnvFile;
+exports.applyAppSettings = applyAppSettings;
@@ -0,0 +1,237 @@
+// Uploads assets to blob storage incrementally. What has been uploaded is kept by content hash in
+// `<name>/assets.json` next to the releases, so unchanged files are skipped, and blobs no deployment
+// of the app has used for `assetsRetentionDays` are deleted.
+
+const crypto = require("crypto");
+const fse = require("fs-extra");
+const { join } = require("path");
+const glob = require("tiny-glob");
+
+const { cdnSettings } = require("./cdn");
+const { variantOf } = require("./compression");
+const { contentType } = require("./contentTypes");
+
+const MANIFEST = "assets.json";
+
+// Next.js puts a hash or the build id into every path below _next/static
+const IMMUTABLE = "public, max-age=31536000, immutable";
+
+/**
+ * Path of a blob in the releases container that belongs to the app, e.g., `my-app/assets.json`.
+ * Apps sharing a storage account, and with it the assets container, keep theirs apart.
+ */
+function appPath(config, path) {
+  return `${config.name}/${path}`;
+}
+
+/**
+ * Resolves the `assetsMaxAge` and `assetsRetentionDays` configuration values
+ */
+function assetSettings(config) {
+  const settings = {
+    maxAge: config.assetsMaxAge === undefined ? 300 : config.assetsMaxAge,
+    retentionDays:
+      config.assetsRetentionDays === undefined ? 7 : config.assetsRetentionDays
+  };
+  if (!Number.isInteger(settings.maxAge) || settings.maxAge < 0) {
+    throw new Error(
+      `Configuration value is invalid: assetsMaxAge. Expected a number of seconds, actual '${settings.maxAge}'`
+    );
+  }
+  if (
+    typeof settings.retentionDays !== "number" ||
+    settings.retentionDays < 0
+  ) {
+    throw new Error(
+      `Configuration value is invalid: assetsRetentionDays. Expected a number of days, actual '${settings.retentionDays}'`
+    );
+  }
+  return settings;
+}
+
+/**
+ * Decides the headers of a blob, compressed variants are labelled like their original
+ *
+ * @param paths All paths uploaded alongside
+ */
+function blobProperties(path, paths, settings) {
+  const variant = variantOf(path, paths);
+  return {
+    contentType: contentType(variant ? variant.original : path),
+    contentEncoding: variant ? variant.encoding : undefined,
+    cacheControl: /(^|\/)_next\/static\//.test(path)
+      ? IMMUTABLE
+      : `public, max-age=${settings.maxAge}`
+  };
+}
+
+function sameProperties(one, other) {
+  return (
+    one.contentType === other.contentType &&
+    one.contentEncoding === other.contentEncoding &&
+    one.cacheControl === other.cacheControl
+  );
+}
+
+async function hashFile(path) {
+  const data = await fse.readFile(path);
+  return crypto
+    .createHash("md5")
+    .update(data)
+    .digest("hex");
+}
+
+/**
+ * Lists the files of the uploads with the hash of their content
+ *
+ * @param uploads The uploads of a deployment as `{ source, destinationPath }`
+ * @returns The files as `{ path, file, hash }`, `path` being the path in the assets container
+ */
+async function listAssets(uploads) {
+  const assets = [];
+  for (const { source, destinationPath } of uploads) {
+    if (!(await fse.pathExists(source))) {
+      continue;
+    }
+    const files = await glob("**/*", {
+      cwd: source,
+      filesOnly: true,
+      dot: true
+    });
+    for (const file of files.sort()) {
+      assets.push({
+        path: `${destinationPath}/${file.replace(/\\/g, "/")}`,
+        file: join(source, file),
+        hash: await hashFile(join(source, file))
+      });
+    }
+  }
+  return assets;
+}
+
+/**
+ * Purges blobs from the CDN, if there is one
+ *
+ * @param paths Paths in the assets container
+ */
+async function purgeFromCdn(provider, config, paths) {
+  if (!cdnSettings(config) || paths.length === 0) {
+    return;
+  }
+  console.log(`Purging ${paths.length} assets from the CDN...`);
+  await provider.purgeCdn(
+    config,
+    paths.map(path => encodeURI(`/${config.assetsContainerName}/${path}`))
+  );
+}
+
+/**
+ * Uploads the files of the uploads that aren't in storage with the same content and headers yet
+ *
+ * @param uploads The uploads of a deployment as `{ source, destinationPath }`
+ * @returns The paths of all files of the uploads in the assets container
+ */
+async function uploadChangedAssets(provider, config, uploads) {
+  const settings = assetSettings(config);
+  const manifest =
+    (await provider.readDocument(config, appPath(config, MANIFEST))) || {};
+  const assets = await listAssets(uploads);
+  const paths = new Set(assets.map(asset => asset.path));
+  for (const asset of assets) {
+    Object.assign(asset, blobProperties(asset.path, paths, settings));
+  }
+  const changed = assets.filter(asset => {
+    const uploaded = manifest[asset.path];
+    return (
+      !uploaded ||
+      uploaded.hash !== asset.hash ||
+      !sameProperties(uploaded, asset)
+    );
+  });
+  console.log(
+    `Uploading ${changed.length} of ${assets.length} assets, the others are unchanged...`
+  );
+
+  // a batch upload sets the same headers on every blob, so files are staged by their headers
+  const stagingPath = join(config.buildOutputPath, "uploads");
+  const batches = [];
+  await fse.emptyDir(stagingPath);
+  for (const asset of changed) {
+    let batch = batches.find(other => sameProperties(other.properties, asset));
+    if (!batch) {
+      batch = {
+        source: join(stagingPath, String(batches.length)),
+        properties: {
+          contentType: asset.contentType,
+          contentEncoding: asset.contentEncoding,
+          cacheControl: asset.cacheControl
+        }
+      };
+      batches.push(batch);
+    }
+    await fse.copy(asset.file, join(batch.source, asset.path));
+  }
+  for (const { source, properties } of batches) {
+    await provider.uploadAssets(config, source, properties);
+  }
+  await fse.remove(stagingPath);
+
+  const deployedAt = new Date().toISOString();
+  const updated = Object.assign({}, manifest);
+  for (const asset of assets) {
+    const { path, hash, contentType, contentEncoding, cacheControl } = asset;
+    updated[path] = {
+      hash,
+      contentType,
+      contentEncoding,
+      cacheControl,
+      deployedAt
+    };
+  }
+  await provider.writeDocument(config, appPath(config, MANIFEST), updated);
+
+  // new blobs can't be cached yet, only overwritten ones may be stale
+  await purgeFromCdn(
+    provider,
+    config,
+    changed.filter(asset => manifest[asset.path]).map(asset => asset.path)
+  );
+  return assets.map(asset => asset.path);
+}
+
+/**
+ * Deletes the blobs no deployment has uploaded or kept for longer than the retention period
+ *
+ * @param deployed Paths of the files just deployed, which are always kept
+ */
+async function pruneAssets(provider, config, deployed) {
+  const { retentionDays } = assetSettings(config);
+  const manifest =
+    (await provider.readDocument(config, appPath(config, MANIFEST))) || {};
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const stale = Object.keys(manifest).filter(
+    path =>
+      !deployed.includes(path) &&
+      Date.parse(manifest[path].deployedAt) < cutoff
+  );
+  if (stale.length === 0) {
+    return;
+  }
+
+  console.log(
+    `Deleting ${stale.length} assets not deployed in the last ${retentionDays} days...`
+  );
+  await provider.deleteAssets(config, stale);
+  const updated = Object.assign({}, manifest);
+  for (const path of stale) {
+    delete updated[path];
+  }
+  await provider.writeDocument(config, appPath(config, MANIFEST), updated);
+  await purgeFromCdn(provider, config, stale);
+}
+
+exports.appPath = appPath;
+exports.assetSettings = assetSettings;
+exports.listAssets = listAssets;
+exports.uploadChangedAssets = uploadChangedAssets;
+exports.pruneAssets = pruneAssets;
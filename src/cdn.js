@@ -0,0 +1,46 @@
+// Optional Azure CDN endpoint in front of the storage account. The proxies then fetch assets
+// through the CDN host instead of blob storage, and blobs that are overwritten or deleted are
+// purged from the CDN.
+
+const SKUS = [
+  "Standard_Microsoft",
+  "Standard_Akamai",
+  "Standard_Verizon",
+  "Premium_Verizon"
+];
+
+/**
+ * Resolves the CDN settings from the `cdn` configuration value
+ *
+ * @returns `{ profile, endpoint, sku, hostName }`, or `undefined` if there is no CDN
+ */
+function cdnSettings(config) {
+  const { cdn } = config;
+  if (!cdn) {
+    return undefined;
+  }
+  for (const key of ["profile", "endpoint"]) {
+    if (typeof cdn[key] !== "string" || !cdn[key]) {
+      throw new Error(`Configuration value is missing: cdn.${key}`);
+    }
+  }
+  const settings = Object.assign({ sku: "Standard_Microsoft" }, cdn);
+  if (!SKUS.includes(settings.sku)) {
+    throw new Error(
+      `Configuration value is invalid: cdn.sku. Expected one of ${SKUS.map(
+        sku => `'${sku}'`
+      ).join(", ")}, actual '${settings.sku}'`
+    );
+  }
+  return settings;
+}
+
+/**
+ * Host the CDN serves the assets from, a custom domain if one is configured
+ */
+function cdnHost(settings) {
+  return settings.hostName || `${settings.endpoint}.azureedge.net`;
+}
+
+exports.cdnSettings = cdnSettings;
+exports.cdnHost = cdnHost;
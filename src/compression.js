@@ -0,0 +1,109 @@
+// Compressed variants of assets, so blob storage can serve them encoded. A variant is stored next
+// to its original with the extension of its encoding, e.g., `main.js.br`.
+
+const zlib = require("zlib");
+
+const { contentType } = require("./contentTypes");
+
+const DEFAULTS = {
+  threshold: 1024,
+  gzipLevel: 9,
+  brotliLevel: 11
+};
+
+// in order of preference when a client accepts several
+const ENCODINGS = [
+  {
+    name: "br",
+    extension: ".br",
+    compress: (data, settings) =>
+      zlib.brotliCompressSync(data, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: settings.brotliLevel,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+      })
+  },
+  {
+    name: "gzip",
+    extension: ".gz",
+    compress: (data, settings) =>
+      zlib.gzipSync(data, { level: settings.gzipLevel })
+  }
+];
+
+/**
+ * Indicates whether a file is worth compressing, judged by its content type
+ */
+function isCompressible(path) {
+  return /^text\/|javascript|json|xml|wasm/.test(contentType(path));
+}
+
+function checkLevel(settings, name, max) {
+  const value = settings[name];
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new Error(
+      `Configuration value is invalid: compression.${name}. Expected a whole number from 0 to ${max}, actual '${value}'`
+    );
+  }
+}
+
+/**
+ * Resolves the compression settings from the `compression` configuration value
+ *
+ * @returns The settings, or `undefined` if assets aren't compressed
+ */
+function compressionSettings(config) {
+  const { compression } = config;
+  if (!compression) {
+    return undefined;
+  }
+  const settings = Object.assign(
+    {},
+    DEFAULTS,
+    compression === true ? {} : compression
+  );
+  if (!Number.isInteger(settings.threshold) || settings.threshold < 0) {
+    throw new Error(
+      `Configuration value is invalid: compression.threshold. Expected a number of bytes, actual '${settings.threshold}'`
+    );
+  }
+  checkLevel(settings, "gzipLevel", 9);
+  checkLevel(settings, "brotliLevel", 11);
+  return settings;
+}
+
+/**
+ * Finds the encoding of a variant file, if it is one
+ *
+ * @param paths All paths uploaded alongside, a variant's original is always among them
+ * @returns The encoding and the original's path as `{ encoding, original }`, or `undefined`
+ */
+function variantOf(path, paths) {
+  for (const { name, extension } of ENCODINGS) {
+    const original = path.substring(0, path.length - extension.length);
+    if (path.endsWith(extension) && paths.has(original)) {
+      return { encoding: name, original };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compresses a file's content with every encoding
+ *
+ * @returns The variants that are smaller than the content as `{ name, extension, data }`
+ */
+function compress(data, settings) {
+  return ENCODINGS.map(encoding => ({
+    name: encoding.name,
+    extension: encoding.extension,
+    data: encoding.compress(data, settings)
+  })).filter(variant => variant.data.length < data.length);
+}
+
+exports.ENCODINGS = ENCODINGS;
+exports.compressionSettings = compressionSettings;
+exports.isCompressible = isCompressible;
+exports.variantOf = variantOf;
+exports.compress = compress;
@@ -0,0 +1,143 @@
+// Resolves the configuration of a deployment. It comes from an optional file committed to the
+// repository, with the overlay of the selected environment applied, and from the `configuration`
+// input on top, which is where values that vary by workflow or are secret belong. Every source is
+// validated against publish-next.schema.json.
+
+const fse = require("fs-extra");
+const { join } = require("path");
+
+const { validate } = require("./schema");
+
+const DEFAULT_FILE = "publish-next.config.json";
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merges an overlay into a configuration, objects are merged and anything else is replaced
+ */
+function merge(base, overlay) {
+  const merged = Object.assign({}, base);
+  for (const key of Object.keys(overlay)) {
+    merged[key] =
+      isObject(base[key]) && isObject(overlay[key])
+        ? merge(base[key], overlay[key])
+        : overlay[key];
+  }
+  return merged;
+}
+
+/**
+ * Fails with every problem of a configuration source
+ *
+ * @param source Where the value comes from, named in the messages
+ */
+function check(value, ref, source) {
+  const errors = validate(value, ref);
+  if (errors.length > 0) {
+    throw new Error(
+      errors.map(error => (source ? `${error} (${source})` : error)).join("\n")
+    );
+  }
+}
+
+/**
+ * Reads the configuration file, the default one only if it exists
+ *
+ * @returns The file's content, or `undefined` if there is no file
+ */
+async function readConfigFile(sourcePath, file) {
+  const path = join(sourcePath, file || DEFAULT_FILE);
+  if (!(await fse.pathExists(path))) {
+    if (file) {
+      throw new Error(`Unable to find configuration file '${file}'`);
+    }
+    return undefined;
+  }
+  try {
+    return JSON.parse(await fse.readFile(path, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Unable to read configuration file '${file || DEFAULT_FILE}': ${
+        error.message
+      }`
+    );
+  }
+}
+
+function matchesBranch(pattern, branch) {
+  return pattern.endsWith("*")
+    ? branch.startsWith(pattern.slice(0, -1))
+    : branch === pattern;
+}
+
+/**
+ * Picks the environment named by the `environment` input, or else the first one listing the branch
+ *
+ * @returns The name of the environment, or `undefined` if none is selected
+ */
+function selectEnvironment(environments, name, branch) {
+  const names = Object.keys(environments);
+  if (name) {
+    if (!environments[name]) {
+      throw new Error(
+        `Unable to find environment '${name}'. Available environments: ${
+          names.length > 0 ? names.join(", ") : "none"
+        }`
+      );
+    }
+    return name;
+  }
+  return names.find(other =>
+    (environments[other].branches || []).some(pattern =>
+      matchesBranch(pattern, branch)
+    )
+  );
+}
+
+/**
+ * Resolves the configuration from the file and the `configuration` input
+ *
+ * @param options `{ sourcePath, file, configJSON, environment, branch }`, `file` and
+ * `environment` being the inputs naming the configuration file and the environment
+ * @returns The configuration and the name of the environment applied, as `{ config, environment }`
+ */
+async function resolveConfiguration(options) {
+  const { sourcePath, file, configJSON, branch } = options;
+  const fileConfig = await readConfigFile(sourcePath, file);
+  if (!fileConfig && !configJSON) {
+    throw new Error("Configuration is missing");
+  }
+
+  let config = {};
+  let environment;
+  if (fileConfig) {
+    check(fileConfig, "#", file || DEFAULT_FILE);
+    const environments = fileConfig.environments || {};
+    environment = selectEnvironment(environments, options.environment, branch);
+
+    config = Object.assign({}, fileConfig);
+    delete config.$schema;
+    delete config.environments;
+    if (environment) {
+      const overlay = Object.assign({}, environments[environment]);
+      delete overlay.branches;
+      config = merge(config, overlay);
+    }
+  } else if (options.environment) {
+    throw new Error(
+      `Unable to select environment '${options.environment}' without a configuration file`
+    );
+  }
+
+  if (configJSON) {
+    const inputConfig = JSON.parse(configJSON);
+    check(inputConfig, "#/$defs/configuration", "configuration input");
+    config = merge(config, inputConfig);
+  }
+  check(config, "#/$defs/deployment");
+  return { config, environment };
+}
+
+exports.resolveConfiguration = resolveConfiguration;
@@ -0,0 +1,37 @@
+const { extname } = require("path");
+
+// Content types of the files an app usually serves, blob storage and the preview label them by it
+
+const CONTENT_TYPES = {
+  ".avif": "image/avif",
+  ".css": "text/css",
+  ".gif": "image/gif",
+  ".htm": "text/html",
+  ".html": "text/html",
+  ".ico": "image/x-icon",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".js": "application/javascript",
+  ".json": "application/json",
+  ".map": "application/json",
+  ".otf": "font/otf",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ttf": "font/ttf",
+  ".txt": "text/plain",
+  ".wasm": "application/wasm",
+  ".webmanifest": "application/manifest+json",
+  ".webp": "image/webp",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".xml": "application/xml"
+};
+
+function contentType(path) {
+  return (
+    CONTENT_TYPES[extname(path).toLowerCase()] || "application/octet-stream"
+  );
+}
+
+exports.contentType = contentType;
@@ -1,449 +1,448 @@
-const core = require("@actions/core");
-const github = require("@actions/github");
-const { promisify } = require("util");
-const { exec } = require("child_process");
-const fse = require("fs-extra");
-const { join } = require("path");
-const archiver = require("archiver");
-
-const execAsyncInternal = promisify(exec);
-
-const { NextBuild } = require("./next");
-const { proxiesJson, handler, functionJson, hostJson } = require("./templates");
-
-async function run() {
-  try {
-    const config = loadConfig();
-
-    await checkAzureCliIsAvailable();
-    if (config.isPullRequest && config.action === "closed") {
-      console.log("cleaning up closed pull request resources.");
-      await clean(config);
-    } else {
-      await build(config);
-      await package(config);
-      await deploy(config);
-      await configureAppSettings(config);
-    }
-  } catch (error) {
-    core.setFailed(error.message);
-  }
-}
-
-function loadConfig() {
-  const configJSON = core.getInput("configuration");
-  const pullRequestJSON = core.getInput("pull-request");
-  const appSecretsJSON = core.getInput("app-settings");
-
-  if (!configJSON) {
-    throw new Error("Configuration is missing");
-  }
-
-  const config = JSON.parse(configJSON);
-  config.action = github.context.payload.action;
-  config.sourcePath = process.env.GITHUB_WORKSPACE;
-  config.isPullRequest = false;
-  config.pullRequestId = undefined;
-  config.eventName = github.context.eventName;
-  config.appSecretsJSON = appSecretsJSON;
-
-  if (pullRequestJSON) {
-    config.isPullRequest = JSON.parse(pullRequestJSON);
-    if (config.isPullRequest) {
-      if (config.eventName !== "pull_request") {
-        throw new Error(
-          `Unable to run in pull request mode when event is not 'pull_request'. Actual event: ${eventName}`
-        );
-      } else {
-        config.pullRequestId = github.context.payload.pull_request.id;
-      }
-    }
-  }
-
-  if (!config.subscriptionId) {
-    throw new Error("Configuration value is missing: subscriptionId");
-  }
-
-  if (!config.resourceGroup) {
-    throw new Error("Configuration value is missing: resourceGroup");
-  }
-
-  if (!config.location) {
-    throw new Error("Configuration value is missing: location");
-  }
-
-  if (!config.name) {
-    throw new Error("Configuration value is missing: name");
-  }
-
-  if (!config.storageAccount) {
-    throw new Error("Configuration value is missing: storageAccount");
-  }
-
-  if (!config.buildOutputDir) {
-    config.buildOutputDir = "build";
-  }
-
-  if (!config.assetsContainerName) {
-    config.assetsContainerName = "assets";
-  }
-
-  config.buildOutputPath = join(config.sourcePath, config.buildOutputDir);
-  config.buildPagesOutputPath = join(config.buildOutputPath, "pages");
-  config.buildAssetOutputPath = join(config.buildOutputPath, "assets");
-
-  if (config.isPullRequest && config.pullRequestId) {
-    // if this is running as a PR action, adjust the config to deploy a unique instance for this PR
-
-    // build a name from the provided name plus pull request id and make sure it doesn't exceed the 60 character limit
-    const pullRequestSuffix = `-${config.pullRequestId}`;
-    const nameLength = 60 - pullRequestSuffix.length;
-    // trim the provided name so the pull request id will fit and remove any non-alphanumeric characters from the end
-    const trimmedName = config.name
-      .substring(0, nameLength)
-      .replace(new RegExp("[^a-zA-Z0-9]+$"), "");
-    config.name = `${trimmedName}-${config.pullRequestId}`;
-
-    // use a shared pr storage account with pr prefix - make sure it doesn't exceed the 24 character name limit
-    config.storageAccount = `pr${config.storageAccount}`.substring(0, 24);
-
-    // use a unique container for assets for each PR inside the shared storage account
-    config.assetsContainerName = `${config.assetsContainerName}-${config.pullRequestId}`;
-  }
-
-  return config;
-}
-
-async function checkAzureCliIsAvailable() {
-  try {
-    await execAsyncInternal(`az --version`);
-  } catch (error) {
-    console.log("Unable to find Azure CLI");
-    throw new Error(error);
-  }
-}
-
-async function build(config) {
-  const { sourcePath } = config;
-
-  console.log("Building next application");
-  let nextBuild;
-  try {
-    nextBuild = require.main.require(
-      `${sourcePath}/node_modules/next/dist/build`
-    ).default;
-  } catch (e) {
-    throw new Error(
-      "Unable to load next module. Make sure next is in your package.json and you have run 'npm install'."
-    );
-  }
-  const { parseNextConfiguration } = require("./parseNextConfiguration");
-  const nextConfig = parseNextConfiguration(sourcePath);
-  await nextBuild(sourcePath, nextConfig);
-}
-
-async function package(config) {
-  const {
-    sourcePath,
-    buildOutputPath,
-    storageAccount,
-    assetsContainerName,
-    buildPagesOutputPath,
-    buildAssetOutputPath
-  } = config;
-
-  console.log("Packaging next application");
-
-  console.log("Scanning next build output");
-  const buildOutput = new NextBuild(sourcePath);
-  await buildOutput.init(buildPagesOutputPath);
-
-  console.log("Processing SSR pages...");
-  // Wrap non-static pages in custom handler
-  for (const page of buildOutput.pages.filter(
-    p => !p.isStatic && !p.isSpecial
-  )) {
-    // Copying to new folder
-    await fse.copy(page.pageSourcePath, page.targetPath);
-
-    // Wrapping with handler
-    await fse.writeFile(
-      join(page.targetFolder, "index.js"),
-      handler(page.targetPageFileName),
-      {
-        encoding: "utf-8"
-      }
-    );
-
-    // Adding function declaration
-    await fse.writeFile(
-      join(page.targetFolder, "function.json"),
-      functionJson(page),
-      {
-        encoding: "utf-8"
-      }
-    );
-  }
-
-  console.log("Generating proxy configuration...");
-  await fse.writeFile(
-    join(buildPagesOutputPath, "proxies.json"),
-    proxiesJson(
-      `https://${storageAccount}.blob.core.windows.net/${assetsContainerName}/`,
-      buildOutput.pages
-    ),
-    {
-      encoding: "utf-8"
-    }
-  );
-
-  console.log("Generating host configuration...");
-  await fse.writeFile(join(buildPagesOutputPath, "host.json"), hostJson(), {
-    encoding: "utf-8"
-  });
-
-  console.log("Copying static assets");
-  await fse.copy(
-    join(sourcePath, ".next/static"),
-    join(buildAssetOutputPath, "static")
-  );
-
-  for (const staticPage of buildOutput.pages.filter(p => p.isStatic)) {
-    await fse.copy(
-      staticPage.pageSourcePath,
-      join(buildAssetOutputPath, "pages", staticPage.targetPageFileName)
-    );
-  }
-
-  console.log("Building Azure functions package");
-  const packageFilename = "package.zip";
-
-  await new Promise((resolve, reject) => {
-    const output = fse.createWriteStream(
-      join(buildOutputPath, packageFilename)
-    );
-    output.on("finish", resolve);
-    output.on("error", reject);
-
-    const archive = archiver("zip", {
-      zlib: { level: 0 }
-    });
-
-    archive
-      .glob(`**/*`, {
-        ignore: packageFilename,
-        cwd: buildPagesOutputPath
-      })
-      .on("error", reject)
-      .pipe(output);
-    archive.finalize();
-  });
-
-  await fse.writeFile(
-    join(buildOutputPath, "packagename.txt"),
-    packageFilename,
-    {
-      encoding: "utf-8"
-    }
-  );
-
-  // Clean up directories
-  await fse.remove(buildPagesOutputPath);
-}
-
-async function deploy(config) {
-  const {
-    sourcePath,
-    buildOutputPath,
-    subscriptionId,
-    location,
-    resourceGroup,
-    storageAccount,
-    assetsContainerName,
-    name,
-    buildAssetOutputPath,
-    plan,
-    isPullRequest
-  } = config;
-
-  console.log("Deploying next application");
-
-  try {
-    console.log(`Creating resource group '${resourceGroup}'...`);
-    await execAsyncInternal(
-      `az group create --subscription ${subscriptionId} --name ${resourceGroup} --location ${location}`
-    );
-  } catch (error) {
-    console.log("Unable to create resource group");
-    throw error;
-  }
-
-  try {
-    console.log(`Creating storage account '${storageAccount}'...`);
-    await execAsyncInternal(
-      `az storage account create --subscription ${subscriptionId} --name ${storageAccount} --location ${location} --resource-group ${resourceGroup} --kind StorageV2 --sku Standard_LRS`
-    );
-  } catch (error) {
-    console.log("Unable to create storage account");
-    throw error;
-  }
-
-  try {
-    console.log(`Creating storage container '${assetsContainerName}'...`);
-    await execAsyncInternal(
-      `az storage container create --subscription ${subscriptionId} --name ${assetsContainerName} --account-name ${storageAccount}`
-    );
-  } catch (error) {
-    console.log("Unable to create storage container");
-    throw error;
-  }
-
-  try {
-    console.log(`Setting storage container permissions...`);
-    await execAsyncInternal(
-      `az storage container set-permission --public-access blob --subscription ${subscriptionId} --account-name ${storageAccount} --name ${assetsContainerName}`
-    );
-  } catch (error) {
-    console.log("Unable to set storage container permissions");
-    throw error;
-  }
-
-  try {
-    if (plan) {
-      console.log(`Creating function app '${name}' using '${plan}' plan...`);
-      await execAsyncInternal(
-        `az functionapp create --subscription ${subscriptionId} --resource-group ${resourceGroup} --plan ${plan} \
-  --name ${name} --storage-account ${storageAccount} --runtime node`
-      );
-    } else {
-      console.log(`Creating function app '${name}' using consumption plan...`);
-      await execAsyncInternal(
-        `az functionapp create --subscription ${subscriptionId} --resource-group ${resourceGroup} --consumption-plan-location ${location} \
-  --name ${name} --storage-account ${storageAccount} --runtime node`
-      );
-    }
-  } catch (error) {
-    console.log("Unable to create function app");
-    throw error;
-  }
-
-  try {
-    console.log(`Enabling package deploy...`);
-    await execAsyncInternal(
-      `az functionapp config appsettings set --settings WEBSITE_RUN_FROM_PACKAGE=1 --resource-group ${resourceGroup} --name ${name}`
-    );
-  } catch (error) {
-    console.log("Could not enable package deployment");
-    throw error;
-  }
-
-  console.log("Uploading package & assets...");
-  const packagePath = join(buildOutputPath, "package.zip");
-  const maxAttempts = 3;
-  for (let attempt = 1; attempt <= maxAttempts; ++attempt) {
-    try {
-      console.log(
-        `Attempting to upload package (${attempt}/${maxAttempts})...`
-      );
-      await execAsyncInternal(
-        `az functionapp deployment source config-zip --subscription ${subscriptionId} -n ${name} -g ${resourceGroup} --src ${packagePath}`
-      );
-      console.log(`Upload successful`);
-      break;
-    } catch (e) {
-      if (attempt + 1 <= maxAttempts) {
-        console.log(
-          `Could not deploy package to Azure function app, waiting 5s and then retrying... ${e.message}`
-        );
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      } else {
-        throw new Error("Could not deploy package to Azure function app", e);
-      }
-    }
-  }
-
-  console.log(`Uploading assets to blob storage...`);
-  try {
-    await execAsyncInternal(
-      `az storage blob upload-batch --subscription ${subscriptionId} --account-name ${storageAccount} --destination ${assetsContainerName} --destination-path _next --source ${buildAssetOutputPath}`
-    );
-  } catch (e) {
-    throw new Error("Could not upload assets to Azure blob storage", e);
-  }
-
-  console.log(`Uploading public assets to blob storage...`);
-  try {
-    await execAsyncInternal(
-      `az storage blob upload-batch --subscription ${subscriptionId} --account-name ${storageAccount} --destination ${assetsContainerName} --destination-path public --source ${join(
-        sourcePath,
-        "public"
-      )}`
-    );
-  } catch (e) {
-    throw new Error("Could not upload public assets to Azure blob storage", e);
-  }
-
-  console.log(`Successfully deployed to https://${name}.azurewebsites.net/`);
-
-  if (isPullRequest) {
-    try {
-      const token = core.getInput('github_token', { required: true });
-      const client = new github.GitHub(token);
-      const pullRequestNumber = github.context.payload.number;
-      const pullRequest = github.context.payload.pull_request;          
-      const commentBody = `Successfully deployed test environment to https://${name}.azurewebsites.net/`
-
-      const response = await client.issues.createComment({
-        owner: pullRequest.base.repo.owner.login,
-        repo: pullRequest.base.repo.name,
-        issue_number: pullRequestNumber,
-        body: commentBody
-      });
-    } catch (e) {
-      // not failing the action for this.
-      console.log("Failed to post comment on deployment to PR.");
-    }
-  }
-}
-
-async function configureAppSettings(config) {
-  const { appSecretsJSON, resourceGroup, name } = config;
-  if (appSecretsJSON) {
-    const appSettings = JSON.parse(appSecretsJSON);
-    const formattedAppSettings = Object.keys(appSettings).reduce(
-      (settings, key) => `${settings}${key}=${appSettings[key]} `,
-      ""
-    );
-    await execAsyncInternal(
-      `az functionapp config appsettings set --settings ${formattedAppSettings} --resource-group ${resourceGroup} --name ${name}`
-    );
-  }
-}
-
-async function clean(config) {
-  const {
-    name,
-    subscriptionId,
-    resourceGroup,
-    assetsContainerName,
-    storageAccount
-  } = config;
-
-  console.log(`Deleting function app '${name}'...`);
-  await execAsyncInternal(
-    `az functionapp delete --subscription ${subscriptionId} --resource-group ${resourceGroup} --name ${name}`
-  );
-
-  console.log(`Deleting storage container '${assetsContainerName}'...`);
-  await execAsyncInternal(
-    `az storage container delete --subscription ${subscriptionId} --name ${assetsContainerName} --account-name ${storageAccount}`
-  );
-  await execAsyncInternal(`az extension add -n application-insights`);
-
-  console.log(`Deleting app-insights '${name}'...`);
-  await execAsyncInternal(
-    `az monitor app-insights component delete --subscription ${subscriptionId} --resource-group ${resourceGroup} --app ${name}`
-  );
-}
-
-run();
+const core = require("@actions/core");
+const github = require("@actions/github");
+const fse = require("fs-extra");
+const { join } = require("path");
+const archiver = require("archiver");
+
+const { selectAdapter } = require("./adapters");
+const { selectProvider } = require("./providers");
+const { blobPrefix } = require("./adapters/common");
+const { Plan } = require("./plan");
+const { smokeTestSettings, runSmokeTests } = require("./smokeTests");
+const {
+  releaseHistory,
+  recordRelease,
+  fetchRelease,
+  rollback
+} = require("./releases");
+const {
+  assetSettings,
+  uploadChangedAssets,
+  pruneAssets
+} = require("./assets");
+const { compressionSettings } = require("./compression");
+const { cdnSettings } = require("./cdn");
+const {
+  appSettingsOptions,
+  maskAppSettings,
+  applyAppSettings
+} = require("./appSettings");
+const { resolveConfiguration } = require("./configuration");
+const {
+  pullRequestConfig,
+  pullRequestTtl,
+  recordPullRequest,
+  cleanupPullRequests
+} = require("./pullRequests");
+const { PullRequestStatus } = require("./pullRequestStatus");
+
+async function run() {
+  let status;
+  try {
+    const config = await loadConfig();
+    if (config.isPullRequest && config.action !== "closed" && !config.dryRun) {
+      status = new PullRequestStatus(config);
+      await status.start();
+    }
+
+    const provider = selectProvider(config);
+    await provider.checkAvailable(config);
+    if (config.cleanup) {
+      await cleanupPullRequests(provider, config);
+    } else if (config.isPullRequest && config.action === "closed") {
+      console.log("cleaning up closed pull request resources.");
+      await clean(provider, config);
+    } else if (config.rollback) {
+      const release = await fetchRelease(provider, config);
+      const target = deploymentTarget(config);
+      await rollback(provider, config, target, release);
+      await swapStagingSlot(provider, config, target);
+      await verifyDeployment(provider, config, status);
+    } else {
+      const adapter = await selectAdapter(config.sourcePath);
+      await adapter.build(config);
+      await adapter.package(config);
+      await createPackage(config);
+      const target = deploymentTarget(config);
+      const deployedAssets = await deploy(provider, config, target);
+      await configureAppSettings(provider, config, target);
+      await swapStagingSlot(provider, config, target);
+      await pruneAssets(provider, config, deployedAssets);
+      await recordRelease(provider, config, assetUploads(config));
+      await verifyDeployment(provider, config, status);
+    }
+
+    if (config.dryRun) {
+      await reportPlan(config);
+    }
+  } catch (error) {
+    if (status) {
+      await status.fail(error);
+    }
+    core.setFailed(error.message);
+  }
+}
+
+async function loadConfig() {
+  const configJSON = core.getInput("configuration");
+  const configFile = core.getInput("config-file");
+  const environmentInput = core.getInput("environment");
+  const pullRequestJSON = core.getInput("pull-request");
+  const appSecretsJSON = core.getInput("app-settings");
+  const dryRunJSON = core.getInput("dry-run");
+  const rollbackInput = core.getInput("rollback");
+  const cleanupJSON = core.getInput("cleanup");
+
+  if (appSecretsJSON) {
+    maskAppSettings(JSON.parse(appSecretsJSON));
+  }
+
+  const sourcePath = process.env.GITHUB_WORKSPACE;
+  const pullRequest = github.context.payload.pull_request;
+  const { config, environment } = await resolveConfiguration({
+    sourcePath,
+    file: configFile,
+    configJSON,
+    environment: environmentInput,
+    // a pull request deploys the code of its head branch
+    branch: pullRequest
+      ? pullRequest.head.ref
+      : github.context.ref.replace(/^refs\/heads\//, "")
+  });
+  if (environment) {
+    console.log(`Using configuration of environment '${environment}'`);
+  }
+
+  config.action = github.context.payload.action;
+  config.sourcePath = sourcePath;
+  config.environment = environment;
+  config.isPullRequest = false;
+  config.pullRequestId = undefined;
+  config.eventName = github.context.eventName;
+  config.appSecretsJSON = appSecretsJSON;
+  config.dryRun = dryRunJSON ? JSON.parse(dryRunJSON) : false;
+  config.deploymentPlan = config.dryRun ? new Plan() : undefined;
+  config.rollback = rollbackInput || undefined;
+  config.cleanup = cleanupJSON ? JSON.parse(cleanupJSON) : false;
+  config.sha = github.context.sha;
+  config.ref = github.context.ref;
+
+  if (pullRequestJSON) {
+    config.isPullRequest = JSON.parse(pullRequestJSON);
+    if (config.isPullRequest) {
+      if (config.eventName !== "pull_request") {
+        throw new Error(
+          `Unable to run in pull request mode when event is not 'pull_request'. Actual event: ${github.context.eventName}`
+        );
+      } else {
+        config.pullRequestId = github.context.payload.pull_request.id;
+        // the sha of a pull_request event is a merge commit, the release is the head's
+        config.sha = github.context.payload.pull_request.head.sha;
+      }
+    }
+  }
+
+  if (config.cleanup && config.isPullRequest) {
+    throw new Error(
+      "Unable to clean up in pull request mode, pull request environments are found from the base configuration"
+    );
+  }
+
+  if (!config.buildOutputDir) {
+    config.buildOutputDir = "build";
+  }
+
+  if (!config.assetsContainerName) {
+    config.assetsContainerName = "assets";
+  }
+
+  if (
+    config.stagingSlot !== undefined &&
+    !(
+      /^[a-zA-Z0-9-]+$/.test(config.stagingSlot) &&
+      config.stagingSlot !== "production"
+    )
+  ) {
+    throw new Error(
+      `Configuration value is invalid: stagingSlot. Expected a slot name other than 'production', actual '${config.stagingSlot}'`
+    );
+  }
+
+  if (!config.releasesContainerName) {
+    config.releasesContainerName = "releases";
+  }
+
+  releaseHistory(config);
+  assetSettings(config);
+  compressionSettings(config);
+  cdnSettings(config);
+  appSettingsOptions(config);
+  pullRequestTtl(config);
+
+  if (!config.functionsVersion) {
+    config.functionsVersion = "3";
+  }
+  config.functionsVersion = String(config.functionsVersion);
+
+  if (!["2", "3", "4"].includes(config.functionsVersion)) {
+    throw new Error(
+      `Configuration value is invalid: functionsVersion. Expected 2, 3 or 4, actual '${config.functionsVersion}'`
+    );
+  }
+
+  if (!config.nodeVersion) {
+    config.nodeVersion = "14";
+  }
+  config.nodeVersion = String(config.nodeVersion);
+
+  if (!config.packaging) {
+    config.packaging = "functions";
+  }
+
+  if (!["functions", "router"].includes(config.packaging)) {
+    throw new Error(
+      `Configuration value is invalid: packaging. Expected 'functions' or 'router', actual '${config.packaging}'`
+    );
+  }
+
+  // fail before building if the smoke tests are misconfigured
+  smokeTestSettings(config);
+
+  if (!config.provider) {
+    config.provider = "azure";
+  }
+
+  config.buildOutputPath = join(config.sourcePath, config.buildOutputDir);
+  config.buildPagesOutputPath = join(config.buildOutputPath, "pages");
+  config.buildAssetOutputPath = join(config.buildOutputPath, "assets");
+  config.localPath = config.localPath
+    ? join(config.sourcePath, config.localPath)
+    : join(config.buildOutputPath, "local");
+
+  if (config.isPullRequest && config.pullRequestId) {
+    // if this is running as a PR action, adjust the config to deploy a unique instance for this PR
+    return pullRequestConfig(config, config.pullRequestId);
+  }
+
+  return config;
+}
+
+async function createPackage(config) {
+  const { buildOutputPath, buildPagesOutputPath } = config;
+
+  console.log("Building Azure functions package");
+  const packageFilename = "package.zip";
+
+  await new Promise((resolve, reject) => {
+    const output = fse.createWriteStream(
+      join(buildOutputPath, packageFilename)
+    );
+    output.on("finish", resolve);
+    output.on("error", reject);
+
+    const archive = archiver("zip", {
+      zlib: { level: 0 }
+    });
+
+    archive
+      .glob(`**/*`, {
+        ignore: packageFilename,
+        cwd: buildPagesOutputPath,
+        dot: true
+      })
+      .on("error", reject)
+      .pipe(output);
+    archive.finalize();
+  });
+
+  await fse.writeFile(
+    join(buildOutputPath, "packagename.txt"),
+    packageFilename,
+    {
+      encoding: "utf-8"
+    }
+  );
+
+  // Clean up directories
+  await fse.remove(buildPagesOutputPath);
+}
+
+/**
+ * Lists the folders uploaded to blob storage with the path they are uploaded to
+ */
+function assetUploads(config) {
+  const { sourcePath, buildAssetOutputPath, basePath } = config;
+
+  return [
+    {
+      source: buildAssetOutputPath,
+      destinationPath: `${blobPrefix(basePath)}_next`
+    },
+    {
+      source: join(sourcePath, "public"),
+      destinationPath: `${blobPrefix(basePath)}public`
+    }
+  ];
+}
+
+/**
+ * Resolves where the package is deployed to: the staging slot if one is configured, otherwise the
+ * function app itself
+ */
+function deploymentTarget(config) {
+  if (!config.stagingSlot) {
+    return config;
+  }
+  return Object.assign({}, config, { slot: config.stagingSlot });
+}
+
+/**
+ * Deploys the package and assets to the target, see `deploymentTarget`
+ *
+ * @returns The paths of the deployed assets in the assets container
+ */
+async function deploy(provider, config, target) {
+  const { buildOutputPath, functionsVersion, nodeVersion } = config;
+
+  console.log("Deploying next application");
+
+  await provider.ensureResourceGroup(config);
+  await provider.ensureStorage(config);
+  if (config.isPullRequest) {
+    // before anything else is created, so the clean up finds the pull request of a failed deploy
+    await recordPullRequest(provider, config);
+  }
+  if (cdnSettings(config)) {
+    await provider.ensureCdn(config);
+  }
+  await provider.ensureFunctionApp(config);
+  if (target.slot) {
+    await provider.ensureSlot(target);
+  }
+
+  // Assets go first and are never removed here, so the build that is live keeps finding its
+  // files while the new one is rolled out
+  let deployedAssets;
+  try {
+    console.log(`Uploading assets to blob storage...`);
+    deployedAssets = await uploadChangedAssets(
+      provider,
+      config,
+      assetUploads(config)
+    );
+  } catch (error) {
+    console.log("Could not upload assets to blob storage");
+    throw error;
+  }
+
+  try {
+    console.log(`Enabling package deploy...`);
+    await provider.setAppSettings(target, { WEBSITE_RUN_FROM_PACKAGE: "1" });
+  } catch (error) {
+    console.log("Could not enable package deployment");
+    throw error;
+  }
+
+  try {
+    // Existing apps keep the runtime they were created with unless it is set explicitly
+    console.log(
+      `Setting runtime to Functions ~${functionsVersion} on Node ~${nodeVersion}...`
+    );
+    await provider.setAppSettings(target, {
+      FUNCTIONS_EXTENSION_VERSION: `~${functionsVersion}`,
+      WEBSITE_NODE_DEFAULT_VERSION: `~${nodeVersion}`
+    });
+  } catch (error) {
+    console.log("Could not set function app runtime");
+    throw error;
+  }
+
+  console.log("Uploading package...");
+  await provider.deployPackage(target, join(buildOutputPath, "package.zip"));
+  return deployedAssets;
+}
+
+/**
+ * Swaps a staging slot into production, after warming it up with the smoke tests
+ */
+async function swapStagingSlot(provider, config, target) {
+  if (!target.slot) {
+    return;
+  }
+
+  const slotUrl = provider.siteUrl(target);
+  if (!config.dryRun && /^https?:\/\//.test(slotUrl)) {
+    await runSmokeTests(target, slotUrl);
+  }
+
+  try {
+    console.log(`Swapping slot '${target.slot}' into production...`);
+    await provider.swapSlot(target);
+  } catch (error) {
+    console.log("Could not swap slot into production");
+    throw error;
+  }
+}
+
+/**
+ * Checks the deployed app responds and lets the pull request know where to find it
+ *
+ * @param status Reports the deployment on the pull request, `undefined` outside of pull requests
+ */
+async function verifyDeployment(provider, config, status) {
+  const siteUrl = provider.siteUrl(config);
+  if (config.dryRun) {
+    console.log(`Dry run complete, nothing was deployed to ${siteUrl}`);
+    return;
+  }
+
+  if (/^https?:\/\//.test(siteUrl)) {
+    await runSmokeTests(config, siteUrl);
+  } else {
+    console.log(`Skipping smoke tests, ${siteUrl} can't be requested`);
+  }
+  console.log(`Successfully deployed to ${siteUrl}`);
+
+  if (status) {
+    await status.succeed(siteUrl);
+  }
+}
+
+async function configureAppSettings(provider, config, target) {
+  try {
+    await applyAppSettings(provider, config, target);
+  } catch (error) {
+    console.log("Could not configure app settings");
+    throw error;
+  }
+}
+
+async function clean(provider, config) {
+  await provider.deleteEnvironment(config);
+  if (!config.dryRun) {
+    await new PullRequestStatus(config).deactivate();
+  }
+}
+
+/**
+ * Prints the operations a dry run collected and writes them to plan.json in the build output
+ */
+async function reportPlan(config) {
+  const { buildOutputPath, deploymentPlan } = config;
+  const planPath = join(buildOutputPath, "plan.json");
+
+  console.log("Deployment plan (dry run, nothing was changed):");
+  console.log(deploymentPlan.format());
+
+  await fse.outputFile(planPath, JSON.stringify(deploymentPlan, null, 2), {
+    encoding: "utf-8"
+  });
+  console.log(`Plan written to ${planPath}`);
+  core.setOutput("plan", planPath);
+}
+
+if (require.main === module) {
+  run();
+}
+
+exports.deploy = deploy;
@@ -1,246 +1,545 @@
-"use strict";
-var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
-    return new (P || (P = Promise))(function (resolve, reject) {
-        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
-        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
-        function step(result) { result.done ? resolve(result.value) : new P(function (resolve) { resolve(result.value); }).then(fulfilled, rejected); }
-        step((generator = generator.apply(thisArg, _arguments || [])).next());
-    });
-};
-var __generator = (this && this.__generator) || function (thisArg, body) {
-    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
-    return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
-    function verb(n) { return function (v) { return step([n, v]); }; }
-    function step(op) {
-        if (f) throw new TypeError("Generator is already executing.");
-        while (_) try {
-            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
-            if (y = 0, t) op = [op[0] & 2, t.value];
-            switch (op[0]) {
-                case 0: case 1: t = op; break;
-                case 4: _.label++; return { value: op[1], done: false };
-                case 5: _.label++; y = op[1]; op = [0]; continue;
-                case 7: op = _.ops.pop(); _.trys.pop(); continue;
-                default:
-                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
-                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
-                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
-                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
-                    if (t[2]) _.ops.pop();
-                    _.trys.pop(); continue;
-            }
-            op = body.call(thisArg, _);
-        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
-        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
-    }
-};
-Object.defineProperty(exports, "__esModule", { value: true });
-var glob = require("tiny-glob");
-var path_1 = require("path");
-/**
- * Represents a single Next.js page
- *
- */
-var NextPage = /** @class */ (function () {
-    /**
-     *
-     * @param path Relative (to .next/serverless/pages) path to page, e.g., `contact/about.tsx`
-     * @param sourcePath Absolute path to `.next/serverless/pages` directory
-     * @param buildOutputPath Absolute path to place modified pages in
-     */
-    function NextPage(path, sourcePath, buildOutputPath) {
-        this.path = path;
-        this.sourcePath = sourcePath;
-        this.buildOutputPath = buildOutputPath;
-    }
-    Object.defineProperty(NextPage.prototype, "isStatic", {
-        /**
-         * Indicates whether the page was statically pre-rendered
-         */
-        get: function () {
-            return this.path.endsWith(".html");
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "isDynamicallyRouted", {
-        /**
-         * Indicates whether the page uses dynamic routing
-         */
-        get: function () {
-            return /\[(.+)\]/.test(this.route);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "isSpecial", {
-        /**
-         * Indicates whether the page is a special page, e.g., the error page
-         */
-        get: function () {
-            return this.pageFileName.startsWith("_");
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "route", {
-        get: function () {
-            return this.path
-                .split(path_1.sep)
-                .slice(1) // Skip `pages`
-                .map(function (x) {
-                var segment = path_1.basename(x, path_1.extname(x));
-                if (segment === "index") {
-                    return "";
-                }
-                return segment;
-            })
-                .join("/");
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "processedRoute", {
-        get: function () {
-            var r = this.route.replace(/\[(.+?)\]/g, "{$1}");
-            if (!r) {
-                // Workaround for /index route
-                return "/";
-            }
-            return r;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "pageName", {
-        /**
-         * Name of the page
-         *
-         * For example, for "pages/foo/contact.{ts,js,html}"" this will be "contact". For dynamic pages,
-         * [foo] will be replaced with _foo_
-         */
-        get: function () {
-            return path_1.basename(this.path, path_1.extname(this.path)).replace(/\[(.+?)\]/g, "_$1_");
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "pageFileName", {
-        get: function () {
-            return path_1.basename(this.path);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "pageSourcePath", {
-        get: function () {
-            return path_1.join(this.sourcePath, this.path);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "identifier", {
-        get: function () {
-            // Azure functions don't support sub-folders, so encode folder structure in file name.
-            // Skip the first entry (/pages)
-            var folder = path_1.dirname(this.path)
-                .split(path_1.sep)
-                .slice(1)
-                .map(function (x) { return x.replace(/\[(.+?)\]/g, "_$1_"); })
-                .join("_");
-            return "func_" + folder + "_" + this.pageName;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "targetFolder", {
-        /**
-         * Absolute path to the target folder
-         */
-        get: function () {
-            return path_1.join(this.buildOutputPath, this.identifier);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "targetPath", {
-        get: function () {
-            return path_1.join(this.targetFolder, "__" + this.pageFileName);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "targetPageName", {
-        get: function () {
-            return path_1.basename(this.targetPath, path_1.extname(this.targetPath));
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(NextPage.prototype, "targetPageFileName", {
-        get: function () {
-            if (this.isStatic) {
-                return this.identifier + ".html";
-            }
-            return path_1.basename(this.targetPath);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    NextPage.prototype.toString = function () {
-        return this.pageName + " - " + this.isStatic;
-    };
-    return NextPage;
-}());
-exports.NextPage = NextPage;
-/**
- * Represents the build output for a Next.js project
- */
-var NextBuild = /** @class */ (function () {
-    function NextBuild(sourcePath) {
-        this.sourcePath = sourcePath;
-        this._pages = [];
-    }
-    NextBuild.prototype.init = function (buildOutputPath) {
-        return __awaiter(this, void 0, void 0, function () {
-            var sourcePath, files, _i, files_1, file;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
-                    case 0:
-                        sourcePath = path_1.join(this.sourcePath, ".next", "serverless");
-                        return [4 /*yield*/, glob("pages/**/*.{js,html}", {
-                                cwd: sourcePath
-                            })];
-                    case 1:
-                        files = _a.sent();
-                        for (_i = 0, files_1 = files; _i < files_1.length; _i++) {
-                            file = files_1[_i];
-                            this.pages.push(new NextPage(file, sourcePath, buildOutputPath));
-                        }
-                        return [2 /*return*/];
-                }
-            });
-        });
-    };
-    Object.defineProperty(NextBuild.prototype, "pages", {
-        get: function () {
-            return this._pages;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    return NextBuild;
-}());
-exports.NextBuild = NextBuild;
-function parseParameters(route) {
-    var parameters = [];
-    var r = /\[(.+?)\]/g;
-    var result;
-    do {
-        result = r.exec(route);
-        if (result) {
-            parameters.push(result[1]);
-        }
-    } while (result);
-    return parameters;
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : new P(function (resolve) { resolve(result.value); }).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+    return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (_) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+var fs_1 = require("fs");
+var glob = require("tiny-glob");
+var path_1 = require("path");
+/**
+ * Represents a single Next.js page
+ *
+ */
+var NextPage = /** @class */ (function () {
+    /**
+     *
+     * @param path Relative (to .next/serverless/pages) path to page, e.g., `contact/about.tsx`
+     * @param sourcePath Absolute path to `.next/serverless/pages` directory
+     * @param buildOutputPath Absolute path to place modified pages in
+     */
+    function NextPage(path, sourcePath, buildOutputPath) {
+        this.path = path;
+        this.sourcePath = sourcePath;
+        this.buildOutputPath = buildOutputPath;
+        /**
+         * Regex constraints for route parameters, keyed by parameter name
+         */
+        this.routeConstraints = {};
+        /**
+         * Indicates whether another build output serves this page's route, e.g., the pre-rendered
+         * HTML of a `getStaticProps` page
+         */
+        this.isSuperseded = false;
+    }
+    Object.defineProperty(NextPage.prototype, "isStatic", {
+        /**
+         * Indicates whether the page was statically pre-rendered
+         */
+        get: function () {
+            return this.path.endsWith(".html");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "isDynamicallyRouted", {
+        /**
+         * Indicates whether the page uses dynamic routing
+         */
+        get: function () {
+            return /\[(.+)\]/.test(this.route);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "isSpecial", {
+        /**
+         * Indicates whether the page is a special page, e.g., the error page
+         */
+        get: function () {
+            return this.pageFileName.startsWith("_") || this.isNotFoundPage;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "isNotFoundPage", {
+        /**
+         * Indicates whether the page is the custom 404 page
+         */
+        get: function () {
+            return this.route === "404";
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "isErrorPage", {
+        /**
+         * Indicates whether the page is the custom or default error page
+         */
+        get: function () {
+            return this.route === "_error";
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "isApiRoute", {
+        /**
+         * Indicates whether the page is an API route, i.e., lives under `pages/api`
+         */
+        get: function () {
+            return !this.isStatic && /^api(\/|$)/.test(this.route);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "methods", {
+        /**
+         * HTTP methods the function for this page should accept
+         */
+        get: function () {
+            if (this.isApiRoute) {
+                return ["get", "head", "post", "put", "patch", "delete", "options"];
+            }
+            return ["get"];
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "route", {
+        get: function () {
+            return this.path
+                .split(path_1.sep)
+                .slice(1) // Skip `pages`
+                .map(function (x) {
+                var segment = path_1.basename(x, path_1.extname(x));
+                if (segment === "index") {
+                    return "";
+                }
+                return segment;
+            })
+                .join("/")
+                .replace(/\/$/, ""); // Nested index pages
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "nextRoute", {
+        /**
+         * Route as Next.js names it in its manifests, e.g., `/blog/[id]`
+         */
+        get: function () {
+            return "/" + this.route;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "processedRoute", {
+        get: function () {
+            var constraints = this.routeConstraints;
+            var r = this.route.replace(/\[\[\.\.\.(.+?)\]\]|\[\.\.\.(.+?)\]|\[(.+?)\]/g, function (_, optionalCatchAll, catchAll, name) {
+                if (name) {
+                    return routeParameter("", name, constraints);
+                }
+                return routeParameter("*", optionalCatchAll || catchAll, constraints);
+            });
+            if (!r) {
+                // Workaround for /index route
+                return "/";
+            }
+            return r;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "parameters", {
+        /**
+         * Names of the dynamic route parameters, e.g., `["id"]` for `pages/blog/[id].js`
+         */
+        get: function () {
+            return parseParameters(this.route);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "catchAllParameters", {
+        /**
+         * Names of the catch-all route parameters, e.g., `["slug"]` for `pages/docs/[...slug].js`
+         */
+        get: function () {
+            var parameters = [];
+            var r = /\[{1,2}\.\.\.(.+?)\]{1,2}/g;
+            var result;
+            while ((result = r.exec(this.route))) {
+                parameters.push(result[1]);
+            }
+            return parameters;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "pageName", {
+        /**
+         * Name of the page
+         *
+         * For example, for "pages/foo/contact.{ts,js,html}"" this will be "contact". For dynamic pages,
+         * [foo] will be replaced with _foo_, [...foo] with _all_foo_ and [[...foo]] with _optall_foo_
+         */
+        get: function () {
+            return encodeSegment(path_1.basename(this.path, path_1.extname(this.path)));
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "pageFileName", {
+        get: function () {
+            return path_1.basename(this.path);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "pageSourcePath", {
+        get: function () {
+            return path_1.join(this.sourcePath, this.path);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "identifier", {
+        get: function () {
+            // Azure functions don't support sub-folders, so encode folder structure in file name.
+            // Skip the first entry (/pages)
+            var folder = path_1.dirname(this.path)
+                .split(path_1.sep)
+                .slice(1)
+                .map(encodeSegment)
+                .join("_");
+            return "func_" + folder + "_" + this.pageName;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "targetFolder", {
+        /**
+         * Absolute path to the target folder
+         */
+        get: function () {
+            return path_1.join(this.buildOutputPath, this.identifier);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "targetPath", {
+        get: function () {
+            return path_1.join(this.targetFolder, "__" + this.pageFileName);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "targetPageName", {
+        get: function () {
+            return path_1.basename(this.targetPath, path_1.extname(this.targetPath));
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextPage.prototype, "targetPageFileName", {
+        get: function () {
+            if (this.isStatic) {
+                return this.identifier + ".html";
+            }
+            return path_1.basename(this.targetPath);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    NextPage.prototype.toString = function () {
+        return this.pageName + " - " + this.isStatic;
+    };
+    return NextPage;
+}());
+exports.NextPage = NextPage;
+/**
+ * Represents the pre-rendered data of a `getStaticProps` page, fetched by the client on navigation
+ */
+var NextDataFile = /** @class */ (function () {
+    /**
+     *
+     * @param path Relative (to .next/serverless/pages) path to the data file, e.g., `pages/blog/hello.json`
+     * @param sourcePath Absolute path to `.next/serverless/pages` directory
+     * @param buildId Id of the Next.js build the data belongs to
+     */
+    function NextDataFile(path, sourcePath, buildId) {
+        this.path = path;
+        this.sourcePath = sourcePath;
+        this.buildId = buildId;
+        /**
+         * Indicates whether the data is regenerated, i.e., must not be served from the pre-rendered file
+         */
+        this.revalidates = false;
+    }
+    Object.defineProperty(NextDataFile.prototype, "route", {
+        /**
+         * Route of the page the data belongs to, e.g., `/blog/hello`
+         */
+        get: function () {
+            var route = this.path
+                .split(path_1.sep)
+                .slice(1) // Skip `pages`
+                .join("/");
+            route = route.substring(0, route.length - path_1.extname(route).length);
+            return route === "index" ? "/" : "/" + route;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextDataFile.prototype, "assetPath", {
+        /**
+         * Path relative to the `_next` assets, e.g., `data/<buildId>/blog/hello.json`
+         */
+        get: function () {
+            return ["data", this.buildId]
+                .concat(this.path.split(path_1.sep).slice(1))
+                .join("/");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextDataFile.prototype, "dataRoute", {
+        get: function () {
+            return "_next/" + this.assetPath;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextDataFile.prototype, "identifier", {
+        get: function () {
+            return this.assetPath.replace(/[^a-zA-Z0-9]/g, "_");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextDataFile.prototype, "dataSourcePath", {
+        get: function () {
+            return path_1.join(this.sourcePath, this.path);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return NextDataFile;
+}());
+exports.NextDataFile = NextDataFile;
+/**
+ * Represents the build output for a Next.js project
+ */
+var NextBuild = /** @class */ (function () {
+    function NextBuild(sourcePath) {
+        this.sourcePath = sourcePath;
+        this._pages = [];
+        this._dataFiles = [];
+        this.buildId = undefined;
+        this.prerenderManifest = undefined;
+        this.routesManifest = undefined;
+    }
+    NextBuild.prototype.init = function (buildOutputPath) {
+        return __awaiter(this, void 0, void 0, function () {
+            var sourcePath, files, _i, files_1, file;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        sourcePath = path_1.join(this.sourcePath, ".next", "serverless");
+                        return [4 /*yield*/, glob("pages/**/*.{js,html,json}", {
+                                cwd: sourcePath
+                            })];
+                    case 1:
+                        files = _a.sent();
+                        this.loadManifests();
+                        for (_i = 0, files_1 = files; _i < files_1.length; _i++) {
+                            file = files_1[_i];
+                            if (path_1.extname(file) === ".json") {
+                                this._dataFiles.push(new NextDataFile(file, sourcePath, this.buildId));
+                            }
+                            else {
+                                this.pages.push(new NextPage(file, sourcePath, buildOutputPath));
+                            }
+                        }
+                        this.resolvePrerendering();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * Reads the build id and the manifests Next.js writes next to the build output
+     */
+    NextBuild.prototype.loadManifests = function () {
+        var nextPath = path_1.join(this.sourcePath, ".next");
+        var buildIdPath = path_1.join(nextPath, "BUILD_ID");
+        if (fs_1.existsSync(buildIdPath)) {
+            this.buildId = fs_1.readFileSync(buildIdPath, "utf-8").trim();
+        }
+        this.prerenderManifest = readJsonIfExists(path_1.join(nextPath, "prerender-manifest.json"));
+        this.routesManifest = readJsonIfExists(path_1.join(nextPath, "routes-manifest.json"));
+    };
+    /**
+     * Decides whether a route is served by its pre-rendered output or by the page's function
+     */
+    NextBuild.prototype.resolvePrerendering = function () {
+        var manifest = this.prerenderManifest || {};
+        var routes = manifest.routes || {};
+        var dynamicRoutes = manifest.dynamicRoutes || {};
+        var revalidates = function (route) {
+            return !!(routes[route] && routes[route].initialRevalidateSeconds);
+        };
+        for (var _i = 0, _a = this._pages; _i < _a.length; _i++) {
+            var page = _a[_i];
+            var route = page.nextRoute;
+            if (page.isStatic) {
+                // Fallback pages and pages that regenerate are rendered by the function instead
+                page.isSuperseded = route in dynamicRoutes || revalidates(route);
+            }
+            else if (routes[route]) {
+                page.isSuperseded = !revalidates(route);
+            }
+            else if (dynamicRoutes[route] && dynamicRoutes[route].fallback === false) {
+                // Without a fallback every path is pre-rendered, unless some of them regenerate
+                page.isSuperseded = !Object.keys(routes).some(function (r) {
+                    return routes[r].srcRoute === route && revalidates(r);
+                });
+            }
+        }
+        for (var _b = 0, _c = this._dataFiles; _b < _c.length; _b++) {
+            var dataFile = _c[_b];
+            dataFile.revalidates = revalidates(dataFile.route);
+        }
+    };
+    /**
+     * Azure route under which the client fetches the data of a `getStaticProps`/`getServerSideProps`
+     * page, or `undefined` if the page has no data
+     */
+    NextBuild.prototype.dataRouteFor = function (page) {
+        var dataRoutes = (this.routesManifest && this.routesManifest.dataRoutes) || [];
+        var hasData = dataRoutes.some(function (r) { return r.page === page.nextRoute; });
+        if (!hasData || !this.buildId) {
+            return undefined;
+        }
+        var route = page.processedRoute === "/" ? "index" : page.processedRoute;
+        // A wildcard has to be the whole segment, so it can't be followed by the extension
+        var extension = page.catchAllParameters.length > 0 ? "" : ".json";
+        return "_next/data/" + this.buildId + "/" + route + extension;
+    };
+    Object.defineProperty(NextBuild.prototype, "pages", {
+        get: function () {
+            return this._pages;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextBuild.prototype, "dataFiles", {
+        get: function () {
+            return this._dataFiles;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextBuild.prototype, "routablePages", {
+        /**
+         * Pages that need a route of their own, i.e., aren't special or served by another output
+         */
+        get: function () {
+            return this._pages.filter(function (p) { return !p.isSpecial && !p.isSuperseded; });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextBuild.prototype, "notFoundPage", {
+        /**
+         * The custom 404 page, if the app has one
+         */
+        get: function () {
+            return this._pages.find(function (p) { return p.isNotFoundPage; });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NextBuild.prototype, "errorPage", {
+        /**
+         * The `_error` page
+         */
+        get: function () {
+            return this._pages.find(function (p) { return p.isErrorPage; });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return NextBuild;
+}());
+exports.NextBuild = NextBuild;
+function readJsonIfExists(path) {
+    if (!fs_1.existsSync(path)) {
+        return undefined;
+    }
+    return JSON.parse(fs_1.readFileSync(path, "utf-8"));
+}
+function parseParameters(route) {
+    var parameters = [];
+    var r = /\[{1,2}(?:\.\.\.)?(.+?)\]{1,2}/g;
+    var result;
+    do {
+        result = r.exec(route);
+        if (result) {
+            parameters.push(result[1]);
+        }
+    } while (result);
+    return parameters;
+}
+/**
+ * Encodes a route segment so it can be used in an Azure function name
+ */
+function encodeSegment(segment) {
+    return segment
+        .replace(/\[\[\.\.\.(.+?)\]\]/g, "_optall_$1_")
+        .replace(/\[\.\.\.(.+?)\]/g, "_all_$1_")
+        .replace(/\[(.+?)\]/g, "_$1_");
+}
+/**
+ * Formats an Azure route parameter, e.g., `{id}` or `{*slug:regex(...)}`
+ */
+function routeParameter(prefix, name, constraints) {
+    var constraint = constraints[name];
+    if (!constraint) {
+        return "{" + prefix + name + "}";
+    }
+    // Braces have to be doubled inside route templates
+    return "{" + prefix + name + ":regex(" + constraint.replace(/\{/g, "{{").replace(/\}/g, "}}") + ")}";
 }
\ No newline at end of file
@@ -0,0 +1,406 @@
+// Translates the rewrites, redirects and headers declared in next.config.js into proxies and
+// function handler settings, as there is no `next start` server to apply them in production.
+
+const { resolve } = require("url");
+
+const { escapeRegex } = require("./routing");
+
+/**
+ * Parses a Next.js path pattern, e.g., `/blog/:slug*`, into its segments
+ */
+function parseSource(source, describe) {
+  if (!source || !source.startsWith("/")) {
+    throw new Error(`Unable to translate ${describe()}: source must start with '/'.`);
+  }
+  if (/[()]/.test(source)) {
+    throw new Error(
+      `Unable to translate ${describe()}: regex patterns can't be expressed as Azure routes.`
+    );
+  }
+
+  const segments = source
+    .split("/")
+    .filter(segment => segment)
+    .map(segment => {
+      const match = /^:(\w+)([*+?])?$/.exec(segment);
+      if (match) {
+        return { name: match[1], modifier: match[2] || "" };
+      }
+      if (/:\w+[*+?]/.test(segment)) {
+        throw new Error(
+          `Unable to translate ${describe()}: '${segment}' mixes text and a repeated or optional parameter.`
+        );
+      }
+      return { literal: segment };
+    });
+
+  segments.forEach((segment, i) => {
+    if (segment.modifier && i !== segments.length - 1) {
+      throw new Error(
+        `Unable to translate ${describe()}: '${segment.modifier}' parameters must be the last part of the path.`
+      );
+    }
+  });
+
+  return segments;
+}
+
+function azureRoute(segments) {
+  return segments
+    .map(segment => {
+      if (segment.literal !== undefined) {
+        return segment.literal.replace(/:(\w+)/g, "{$1}");
+      }
+      if (segment.modifier === "*" || segment.modifier === "+") {
+        return `{*${segment.name}}`;
+      }
+      return `{${segment.name}${segment.modifier}}`;
+    })
+    .join("/");
+}
+
+function routeRegex(segments) {
+  const pattern = segments
+    .map(segment => {
+      if (segment.literal !== undefined) {
+        return `/${segment.literal
+          .split(/:\w+/)
+          .map(escapeRegex)
+          .join("[^/]+?")}`;
+      }
+      switch (segment.modifier) {
+        case "*":
+          return "(?:/.*)?";
+        case "+":
+          return "/.+";
+        case "?":
+          return "(?:/[^/]+?)?";
+        default:
+          return "/[^/]+?";
+      }
+    })
+    .join("");
+  return `^${pattern || "/"}/?$`;
+}
+
+/**
+ * Builds a regex for the paths the segments match below the route prefix, without a leading slash
+ * or anchors, the way `fallbackConstraint` takes reserved patterns
+ */
+function relativePattern(segments) {
+  return segments
+    .map((segment, i) => {
+      const separator = i === 0 ? "" : "/";
+      if (segment.literal !== undefined) {
+        return `${separator}${segment.literal
+          .split(/:\w+/)
+          .map(escapeRegex)
+          .join("[^/]+?")}`;
+      }
+      switch (segment.modifier) {
+        case "*":
+          return i === 0 ? ".*" : "(?:/.*)?";
+        case "+":
+          return `${separator}.+`;
+        case "?":
+          return `(?:${separator}[^/]+?)?`;
+        default:
+          return `${separator}[^/]+?`;
+      }
+    })
+    .join("");
+}
+
+/**
+ * Replaces `:param` references with the `{param}` syntax proxies use
+ */
+function substituteParameters(destination) {
+  return destination.replace(/:(\w+)[*+?]?/g, "{$1}");
+}
+
+function checkConditions(rule, describe) {
+  if (rule.has || rule.missing) {
+    throw new Error(
+      `Unable to translate ${describe()}: 'has' and 'missing' conditions are not supported.`
+    );
+  }
+}
+
+async function evaluate(nextConfig, name) {
+  if (typeof nextConfig[name] !== "function") {
+    return [];
+  }
+  const rules = await nextConfig[name]();
+  if (Array.isArray(rules)) {
+    return rules;
+  }
+  // Next 10.1+ splits rewrites into phases, routing in Azure doesn't distinguish them
+  return [
+    ...((rules && rules.beforeFiles) || []),
+    ...((rules && rules.afterFiles) || []),
+    ...((rules && rules.fallback) || [])
+  ];
+}
+
+function basePathOf(nextConfig) {
+  return (nextConfig.basePath || "").replace(/^\/|\/$/g, "");
+}
+
+// Like Next.js, rules apply below the base path unless they opt out with `basePath: false`
+function withBasePath(basePath, rule, segments) {
+  return basePath && rule.basePath !== false
+    ? basePath
+        .split("/")
+        .map(literal => ({ literal }))
+        .concat(segments)
+    : segments;
+}
+
+/**
+ * Evaluates the `headers()` function of the Next configuration and checks every rule can be
+ * translated, leaving rewrites and redirects alone.
+ *
+ * Throws if a rule can't be expressed in Azure routing.
+ */
+async function loadHeaderRules(nextConfig) {
+  const basePath = basePathOf(nextConfig);
+  return (await evaluate(nextConfig, "headers")).map(rule => {
+    const describe = () => `headers for '${rule.source}'`;
+    checkConditions(rule, describe);
+    const segments = withBasePath(
+      basePath,
+      rule,
+      parseSource(rule.source, describe)
+    );
+    // only the parameters of the source, values like times and ports have colons of their own
+    const parameters = segments
+      .filter(segment => segment.name)
+      .map(segment => new RegExp(`:${escapeRegex(segment.name)}(?!\\w)`));
+    for (const header of rule.headers || []) {
+      if (parameters.some(parameter => parameter.test(header.value))) {
+        throw new Error(
+          `Unable to translate ${describe()}: parameters in the value of '${header.key}' are not supported.`
+        );
+      }
+    }
+    return {
+      source: rule.source,
+      segments,
+      pattern: routeRegex(segments),
+      headers: (rule.headers || []).reduce((headers, header) => {
+        headers[header.key] = header.value;
+        return headers;
+      }, {})
+    };
+  });
+}
+
+/**
+ * Evaluates the `rewrites()`, `redirects()` and `headers()` functions of the Next configuration
+ * and checks every rule can be translated.
+ *
+ * Throws if a rule can't be expressed in Azure routing.
+ */
+async function loadNextRules(nextConfig) {
+  const basePath = basePathOf(nextConfig);
+
+  const rewrites = (await evaluate(nextConfig, "rewrites")).map(rule => {
+    const describe = () => `rewrite '${rule.source}' -> '${rule.destination}'`;
+    checkConditions(rule, describe);
+    return Object.assign({}, rule, {
+      segments: withBasePath(
+        basePath,
+        rule,
+        parseSource(rule.source, describe)
+      )
+    });
+  });
+
+  const redirects = (await evaluate(nextConfig, "redirects")).map(rule => {
+    const describe = () =>
+      `redirect '${rule.source}' -> '${rule.destination}'`;
+    checkConditions(rule, describe);
+    const isInternal = rule.destination.startsWith("/");
+    return Object.assign({}, rule, {
+      segments: withBasePath(
+        basePath,
+        rule,
+        parseSource(rule.source, describe)
+      ),
+      destination:
+        isInternal && basePath && rule.basePath !== false
+          ? `/${basePath}${rule.destination}`
+          : rule.destination,
+      statusCode: rule.statusCode || (rule.permanent ? 308 : 307)
+    });
+  });
+
+  const headers = await loadHeaderRules(nextConfig);
+
+  return { rewrites, redirects, headers, basePath };
+}
+
+/**
+ * Builds proxies for the redirects and rewrites
+ *
+ * @param rules Rules returned by `loadNextRules`
+ * @param assetsUrl Url of the assets container, static pages are proxied straight to it
+ * @param pages Routed NextPage instances
+ */
+function ruleProxies(rules, assetsUrl, pages) {
+  const proxies = {};
+
+  rules.redirects.forEach((rule, i) => {
+    proxies[`redirect_${i}`] = {
+      matchCondition: {
+        route: azureRoute(rule.segments)
+      },
+      responseOverrides: {
+        "response.statusCode": String(rule.statusCode),
+        "response.headers.Location": substituteParameters(rule.destination)
+      }
+    };
+  });
+
+  rules.rewrites.forEach((rule, i) => {
+    let backendUri;
+    if (/^https?:\/\//.test(rule.destination)) {
+      backendUri = substituteParameters(rule.destination);
+    } else {
+      // Proxies can only call back into functions, static pages are served from storage directly
+      const destination = rule.destination.replace(/^\/|\/$/g, "");
+      const staticPage = pages.find(
+        p => p.isStatic && p.processedRoute === (destination || "/")
+      );
+      const routePrefix = rules.basePath ? `${rules.basePath}/` : "";
+      backendUri = staticPage
+        ? resolve(assetsUrl, `_next/pages/${staticPage.targetPageFileName}`)
+        : `https://localhost/${routePrefix}${substituteParameters(destination)}`;
+    }
+    proxies[`rewrite_${i}`] = {
+      matchCondition: {
+        route: azureRoute(rule.segments)
+      },
+      backendUri
+    };
+  });
+
+  return proxies;
+}
+
+/**
+ * Builds patterns for the paths the redirects and rewrites serve, so a fallback route below the
+ * base path leaves them to the rules
+ *
+ * @param rules Rules returned by `loadNextRules`
+ * @returns Patterns for `fallbackConstraint`
+ */
+function rulePatterns(rules) {
+  const prefix = rules.basePath ? rules.basePath.split("/") : [];
+  return rules.redirects
+    .concat(rules.rewrites)
+    .filter(rule => startsWith(rule.segments.map(s => s.literal), prefix))
+    .map(rule => relativePattern(rule.segments.slice(prefix.length)));
+}
+
+function literalPrefix(segments) {
+  const prefix = [];
+  for (const segment of segments) {
+    if (segment.literal === undefined || segment.literal.includes(":")) {
+      break;
+    }
+    prefix.push(segment.literal);
+  }
+  return prefix;
+}
+
+function startsWith(path, prefix) {
+  return prefix.every((segment, i) => path[i] === segment);
+}
+
+function addHeaders(proxy, headers) {
+  proxy.responseOverrides = Object.keys(headers).reduce(
+    (overrides, key) => {
+      overrides[`response.headers.${key}`] = headers[key];
+      return overrides;
+    },
+    proxy.responseOverrides || {}
+  );
+}
+
+/**
+ * Adds the custom headers to the responses of the proxies they apply to. Rules that only cover
+ * part of an asset proxy get a more specific proxy of their own.
+ *
+ * @param proxies Proxies keyed by name, modified in place
+ * @param headerRules Header rules returned by `loadNextRules`
+ * @param assetProxies Asset proxies as `{ name, prefix, backendPrefix, filesOnly }`, the prefix
+ * being the path the proxy serves everything under
+ */
+function applyHeaderRules(proxies, headerRules, assetProxies) {
+  const wildcardProxies = assetProxies.slice();
+
+  // a rule for a subset of the assets needs its own proxy to attach the headers to
+  headerRules.forEach((rule, i) => {
+    const path = literalPrefix(rule.segments);
+    const asset = assetProxies.find(
+      a =>
+        path.length > a.prefix.length &&
+        startsWith(path, a.prefix) &&
+        // e.g. `/robots.txt`, anything else could just as well be a page
+        (!a.filesOnly ||
+          (rule.segments.length === a.prefix.length + 1 &&
+            path.length === rule.segments.length &&
+            path[path.length - 1].includes(".")))
+    );
+    if (asset) {
+      const relative = rule.segments
+        .slice(asset.prefix.length)
+        .map(s =>
+          s.literal !== undefined ? substituteParameters(s.literal) : `{${s.name}}`
+        )
+        .join("/");
+      proxies[`headers_${i}`] = {
+        matchCondition: {
+          methods: ["GET"],
+          route: azureRoute(rule.segments)
+        },
+        backendUri: `${asset.backendPrefix}${relative}`
+      };
+      wildcardProxies.push({ name: `headers_${i}`, prefix: path });
+    }
+  });
+
+  for (const rule of headerRules) {
+    const regex = new RegExp(rule.pattern, "i");
+    const parents = rule.segments.slice(0, -1);
+    const last = rule.segments[rule.segments.length - 1];
+    // e.g. `/_next/static/:path*` applies to every path of a proxy serving `_next/static`
+    const rulePrefix =
+      last &&
+      last.modifier === "*" &&
+      literalPrefix(parents).length === parents.length
+        ? literalPrefix(parents)
+        : undefined;
+
+    for (const name of Object.keys(proxies)) {
+      const route = proxies[name].matchCondition.route;
+      if (!route.includes("{")) {
+        if (regex.test(`/${route.replace(/^\//, "")}`)) {
+          addHeaders(proxies[name], rule.headers);
+        }
+        continue;
+      }
+      const wildcard = wildcardProxies.find(a => a.name === name);
+      if (wildcard && rulePrefix && startsWith(wildcard.prefix, rulePrefix)) {
+        addHeaders(proxies[name], rule.headers);
+      }
+    }
+  }
+}
+
+exports.loadHeaderRules = loadHeaderRules;
+exports.loadNextRules = loadNextRules;
+exports.ruleProxies = ruleProxies;
+exports.rulePatterns = rulePatterns;
+exports.applyHeaderRules = applyHeaderRules;
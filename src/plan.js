@@ -0,0 +1,89 @@
+// Collects the Azure operations a deployment would run, so a dry run can show them instead of
+// touching the subscription.
+
+const SYMBOLS = {
+  create: "+",
+  update: "~",
+  delete: "-",
+  upload: "^",
+  deploy: "^",
+  purge: "*"
+};
+
+class Plan {
+  constructor() {
+    this.operations = [];
+  }
+
+  /**
+   * Adds an operation to the plan
+   *
+   * @param operation `{ action, resource, name, command, details }`, the action being `create`,
+   * `update`, `delete`, `upload`, `deploy` or `purge`, and the command what would run, if anything
+   */
+  add(operation) {
+    this.operations.push(
+      Object.assign({}, operation, { details: operation.details || {} })
+    );
+  }
+
+  /**
+   * Describes the operations the way they would run, one per line
+   */
+  format() {
+    if (this.operations.length === 0) {
+      return "No Azure operations planned.";
+    }
+    return this.operations
+      .map(({ action, resource, name, details }) => {
+        const lines = [
+          `${SYMBOLS[action] || " "} ${action} ${resource} '${name}'`
+        ];
+        for (const key of Object.keys(details)) {
+          const value = details[key];
+          if (value === undefined) {
+            continue;
+          }
+          lines.push(
+            `    ${key}: ${Array.isArray(value) ? value.join(", ") : value}`
+          );
+        }
+        return lines.join("\n");
+      })
+      .join("\n");
+  }
+
+  toJSON() {
+    return {
+      operations: this.operations
+    };
+  }
+}
+
+/**
+ * Carries out an operation, or adds it to the deployment plan on a dry run
+ *
+ * @param operation Operation as taken by `Plan.add`, plus an optional `exists` function resolving
+ * whether the resource exists, which tells a dry run whether it would be created or updated
+ * @param run Function carrying out the operation
+ */
+async function perform(config, operation, run) {
+  if (!config.dryRun) {
+    return run();
+  }
+
+  let { action } = operation;
+  if (operation.exists) {
+    action = (await operation.exists()) ? "update" : "create";
+  }
+  config.deploymentPlan.add({
+    action,
+    resource: operation.resource,
+    name: operation.name,
+    command: operation.command,
+    details: operation.details
+  });
+}
+
+exports.Plan = Plan;
+exports.perform = perform;
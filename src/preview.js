@@ -0,0 +1,620 @@
+// Serves a packaged app on localhost the way Azure would: functions are routed by their
+// function.json routes below the host's route prefix, proxies.json is applied in front of them and
+// blob storage is served from the local assets. Run after packaging, e.g.:
+//
+//   node src/preview.js --package build/package.zip --assets build/assets --public public
+
+const fse = require("fs-extra");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const { join, resolve } = require("path");
+const url = require("url");
+
+const { ENCODINGS } = require("./compression");
+const { contentType } = require("./contentTypes");
+const { escapeRegex } = require("./routing");
+const { extractZip } = require("./zip");
+
+const BLOB_PREFIX = "/__blob__";
+
+// blob storage and the CDN endpoints in front of it, both serve the assets container
+function isAssetsHost(hostname) {
+  return /\.(blob\.core\.windows\.net|azureedge\.net|azurefd\.net)$/.test(
+    hostname
+  );
+}
+
+/**
+ * Splits a route template into literal text and parameters, e.g., `{*path:regex(^a{{2}}$)}`.
+ * Braces are doubled inside templates when they are meant literally.
+ */
+function parseTemplate(template) {
+  const tokens = [];
+  let literal = "";
+  for (let i = 0; i < template.length; ++i) {
+    if (template[i] === "{" && template[i + 1] === "{") {
+      literal += "{";
+      ++i;
+    } else if (template[i] === "}" && template[i + 1] === "}") {
+      literal += "}";
+      ++i;
+    } else if (template[i] === "{") {
+      let content = "";
+      for (++i; i < template.length; ++i) {
+        if (template[i] === "}" && template[i + 1] === "}") {
+          content += "}";
+          ++i;
+        } else if (template[i] === "{" && template[i + 1] === "{") {
+          content += "{";
+          ++i;
+        } else if (template[i] === "}") {
+          break;
+        } else {
+          content += template[i];
+        }
+      }
+      if (literal) {
+        tokens.push({ literal });
+        literal = "";
+      }
+      const match = /^(\*?)(\w+)(\?)?(?::(.*))?$/.exec(content);
+      if (!match) {
+        throw new Error(`Unable to parse route parameter '{${content}}'.`);
+      }
+      const constraint = /^regex\((.*)\)$/.exec(match[4] || "");
+      tokens.push({
+        name: match[2],
+        catchAll: match[1] === "*",
+        optional: match[3] === "?",
+        constraint: constraint ? new RegExp(constraint[1], "i") : undefined
+      });
+    } else {
+      literal += template[i];
+    }
+  }
+  if (literal) {
+    tokens.push({ literal });
+  }
+  return tokens;
+}
+
+/**
+ * Compiles a route template into a matcher for paths without a leading slash
+ *
+ * @returns The matcher, resolving the parameters of a path or `undefined` if it doesn't match, and
+ * the route's rank, lower ranks taking precedence
+ */
+function compileRoute(template) {
+  const tokens = parseTemplate(template.replace(/^\/+/, ""));
+  const parameters = [];
+  let pattern = "";
+  tokens.forEach((token, i) => {
+    if (token.literal !== undefined) {
+      // a trailing parameter that can be empty takes its separator with it
+      const next = tokens[i + 1];
+      const optionalNext =
+        next && (next.catchAll || next.optional) && i + 2 === tokens.length;
+      pattern += escapeRegex(
+        optionalNext ? token.literal.replace(/\/$/, "") : token.literal
+      );
+      return;
+    }
+    parameters.push(token);
+    const capture = token.catchAll ? "(.*)" : "([^/]+?)";
+    const previous = tokens[i - 1];
+    if ((token.catchAll || token.optional) && i === tokens.length - 1) {
+      pattern +=
+        previous && previous.literal.endsWith("/")
+          ? `(?:/${capture})?`
+          : `${capture}?`;
+    } else {
+      pattern += capture;
+    }
+  });
+  const regex = new RegExp(`^${pattern}/?$`, "i");
+
+  const segments = template.replace(/^\/+/, "").split("/");
+  const rank = segments.map(segment =>
+    segment.startsWith("{*") ? 3 : segment.includes("{") ? 2 : 1
+  );
+
+  return {
+    template,
+    rank,
+    match(path) {
+      const match = regex.exec(path);
+      if (!match) {
+        return undefined;
+      }
+      const params = {};
+      for (let i = 0; i < parameters.length; ++i) {
+        const value = match[i + 1] === undefined ? "" : match[i + 1];
+        const { constraint } = parameters[i];
+        if (constraint && !constraint.test(value)) {
+          return undefined;
+        }
+        if (match[i + 1] !== undefined) {
+          params[parameters[i].name] = value;
+        }
+      }
+      return params;
+    }
+  };
+}
+
+function compareRanks(a, b) {
+  for (let i = 0; i < Math.min(a.rank.length, b.rank.length); ++i) {
+    if (a.rank[i] !== b.rank[i]) {
+      return a.rank[i] - b.rank[i];
+    }
+  }
+  return b.rank.length - a.rank.length;
+}
+
+function substitute(template, params) {
+  return template.replace(/\{(\w+)\}/g, (_, name) =>
+    params[name] === undefined ? "" : encodeURI(params[name])
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Loads the functions, proxies and host settings of an unpacked function app
+ */
+async function loadApp(wwwroot) {
+  const host = (await fse.pathExists(join(wwwroot, "host.json")))
+    ? await fse.readJson(join(wwwroot, "host.json"))
+    : {};
+  const http = (host.extensions && host.extensions.http) || {};
+  const routePrefix = (http.routePrefix === undefined
+    ? "api"
+    : http.routePrefix
+  ).replace(/^\/|\/$/g, "");
+
+  const functions = [];
+  for (const name of await fse.readdir(wwwroot)) {
+    const functionJsonPath = join(wwwroot, name, "function.json");
+    if (!(await fse.pathExists(functionJsonPath))) {
+      continue;
+    }
+    const { bindings } = await fse.readJson(functionJsonPath);
+    const trigger = bindings.find(b => b.type === "httpTrigger");
+    if (!trigger) {
+      continue;
+    }
+    const route = trigger.route === undefined ? name : trigger.route;
+    functions.push(
+      Object.assign(
+        compileRoute(
+          [routePrefix, route.replace(/^\/+/, "")].filter(Boolean).join("/")
+        ),
+        {
+          name,
+          methods: (trigger.methods || []).map(m => m.toUpperCase()),
+          entry: join(wwwroot, name, "index.js")
+        }
+      )
+    );
+  }
+
+  const proxiesPath = join(wwwroot, "proxies.json");
+  const { proxies = {} } = (await fse.pathExists(proxiesPath))
+    ? await fse.readJson(proxiesPath)
+    : {};
+  const proxyRoutes = Object.keys(proxies).map(name =>
+    Object.assign(compileRoute(proxies[name].matchCondition.route), {
+      name,
+      methods: (proxies[name].matchCondition.methods || []).map(m =>
+        m.toUpperCase()
+      ),
+      proxy: proxies[name]
+    })
+  );
+
+  return {
+    routePrefix,
+    functions: functions.sort(compareRanks),
+    proxies: proxyRoutes.sort(compareRanks)
+  };
+}
+
+function findRoute(routes, method, path) {
+  for (const route of routes) {
+    if (route.methods.length > 0 && !route.methods.includes(method)) {
+      continue;
+    }
+    const params = route.match(path);
+    if (params) {
+      return { route, params };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Maps the response a function left on `context.res` onto an HTTP response
+ */
+function sendFunctionResponse(res, result) {
+  result = result || {};
+  const headers = Object.assign({}, result.headers);
+  let body = result.body;
+  if (body === undefined || body === null) {
+    body = "";
+  } else if (!Buffer.isBuffer(body) && typeof body === "object") {
+    body = JSON.stringify(body);
+    if (!Object.keys(headers).some(h => h.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = "application/json; charset=utf-8";
+    }
+  }
+  const cookies = (result.cookies || []).map(cookie => {
+    const attributes = [`${cookie.name}=${cookie.value}`];
+    if (cookie.domain) {
+      attributes.push(`Domain=${cookie.domain}`);
+    }
+    if (cookie.path) {
+      attributes.push(`Path=${cookie.path}`);
+    }
+    if (cookie.expires) {
+      attributes.push(`Expires=${new Date(cookie.expires).toUTCString()}`);
+    }
+    if (cookie.maxAge !== undefined) {
+      attributes.push(`Max-Age=${cookie.maxAge}`);
+    }
+    if (cookie.secure) {
+      attributes.push("Secure");
+    }
+    if (cookie.httpOnly) {
+      attributes.push("HttpOnly");
+    }
+    if (cookie.sameSite) {
+      attributes.push(`SameSite=${cookie.sameSite}`);
+    }
+    return attributes.join("; ");
+  });
+  if (cookies.length > 0) {
+    headers["Set-Cookie"] = cookies;
+  }
+  res.writeHead(Number(result.status || result.statusCode || 200), headers);
+  res.end(body);
+}
+
+/**
+ * Creates the preview server
+ *
+ * @param options `{ wwwroot, assetsPath, publicPath }`, wwwroot being the unpacked function app
+ */
+async function createPreviewServer(options) {
+  const { wwwroot, assetsPath, publicPath } = options;
+  const app = await loadApp(wwwroot);
+  const modules = {};
+  let origin;
+
+  // Serves a path of the assets container, laid out like the deploy step uploads it
+  async function serveBlob(res, blobPath) {
+    const prefix = app.routePrefix ? `${app.routePrefix}/` : "";
+    const relative = decodeURIComponent(blobPath).startsWith(prefix)
+      ? decodeURIComponent(blobPath).substring(prefix.length)
+      : undefined;
+    let file;
+    if (relative && relative.startsWith("_next/")) {
+      file = join(assetsPath, relative.substring("_next/".length));
+    } else if (relative && relative.startsWith("public/")) {
+      file = join(publicPath, relative.substring("public/".length));
+    }
+    if (
+      !file ||
+      !(await fse.pathExists(file)) ||
+      (await fse.stat(file)).isDirectory()
+    ) {
+      res.writeHead(404, { "Content-Type": "application/xml" });
+      res.end(
+        '<?xml version="1.0" encoding="utf-8"?><Error><Code>BlobNotFound</Code></Error>'
+      );
+      return;
+    }
+    const headers = { "Content-Type": contentType(file) };
+    // compressed variants are uploaded with the type of their original and their encoding
+    for (const { name, extension } of ENCODINGS) {
+      const original = file.substring(0, file.length - extension.length);
+      if (file.endsWith(extension) && (await fse.pathExists(original))) {
+        headers["Content-Type"] = contentType(original);
+        headers["Content-Encoding"] = name;
+      }
+    }
+    res.writeHead(200, headers);
+    fse.createReadStream(file).pipe(res);
+  }
+
+  async function invokeFunction(req, res, target, body, route, params) {
+    if (!modules[route.name]) {
+      modules[route.name] = require(route.entry);
+    }
+    const handler = modules[route.name];
+
+    const query = url.parse(target.path, true).query;
+    const headers = Object.assign({}, req.headers);
+    let parsedBody = body.length > 0 ? body.toString() : undefined;
+    if (parsedBody && /json/.test(headers["content-type"] || "")) {
+      try {
+        parsedBody = JSON.parse(parsedBody);
+      } catch (e) {
+        // Azure hands over the raw text if it isn't valid JSON
+      }
+    }
+    const azureReq = {
+      method: req.method,
+      url: `${origin}${target.path}`,
+      originalUrl: `${origin}${target.path}`,
+      headers,
+      query,
+      params,
+      body: parsedBody,
+      rawBody: body.length > 0 ? body.toString() : undefined,
+      bufferBody: body
+    };
+    const log = (...args) => console.log(`[${route.name}]`, ...args);
+    log.error = (...args) => console.error(`[${route.name}]`, ...args);
+    log.warn = log.error;
+    log.info = log;
+    log.verbose = log;
+
+    let done;
+    const finished = new Promise(resolve => (done = resolve));
+    const context = {
+      res: {},
+      bindings: { req: azureReq },
+      bindingData: params,
+      log,
+      done
+    };
+    const result = handler(context, azureReq);
+    if (result && typeof result.then === "function") {
+      const returned = await result;
+      if (returned && !context.res.body && context.res.status === undefined) {
+        context.res = returned;
+      }
+    } else {
+      await finished;
+    }
+    sendFunctionResponse(res, context.res);
+  }
+
+  async function forward(req, res, backendUri, body, overrides) {
+    const target = url.parse(backendUri);
+    const blob = isAssetsHost(target.hostname || "");
+    if (blob) {
+      // the first segment is the container
+      return serveWithOverrides(res, overrides, response =>
+        serveBlob(response, target.pathname.split("/").slice(2).join("/"))
+      );
+    }
+    if (target.hostname === "localhost") {
+      return serveWithOverrides(res, overrides, response =>
+        handle(
+          Object.assign(Object.create(req), { url: target.path }),
+          response,
+          body
+        )
+      );
+    }
+    const client = target.protocol === "http:" ? http : https;
+    await new Promise((resolve, reject) => {
+      const headers = Object.assign({}, req.headers, { host: target.host });
+      const request = client.request(
+        Object.assign({}, target, { method: req.method, headers }),
+        response => {
+          const statusCode = overrides.statusCode || response.statusCode;
+          res.writeHead(
+            statusCode,
+            Object.assign({}, response.headers, overrides.headers)
+          );
+          response.pipe(res);
+          response.on("end", resolve);
+        }
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+
+  // Lets a proxy override the status and headers of what it forwarded to
+  function serveWithOverrides(res, overrides, serve) {
+    const writeHead = res.writeHead.bind(res);
+    res.writeHead = (statusCode, headers) =>
+      writeHead(
+        overrides.statusCode || statusCode,
+        Object.assign({}, headers, overrides.headers)
+      );
+    return serve(res);
+  }
+
+  async function handle(req, res, body) {
+    const target = url.parse(req.url);
+    const path = decodeURI(target.pathname).replace(/^\/+/, "");
+
+    if (target.pathname.startsWith(`${BLOB_PREFIX}/`)) {
+      // the first segment is the container
+      const blobPath = target.pathname.substring(BLOB_PREFIX.length + 1);
+      return serveBlob(
+        res,
+        blobPath
+          .split("/")
+          .slice(1)
+          .join("/")
+      );
+    }
+
+    const proxy = findRoute(app.proxies, req.method, path);
+    if (proxy) {
+      const { responseOverrides = {}, backendUri } = proxy.route.proxy;
+      const overrides = { headers: {} };
+      for (const key of Object.keys(responseOverrides)) {
+        if (key === "response.statusCode") {
+          overrides.statusCode = Number(responseOverrides[key]);
+        } else if (key.startsWith("response.headers.")) {
+          const name = key.substring("response.headers.".length);
+          overrides.headers[name] = substitute(
+            responseOverrides[key],
+            proxy.params
+          );
+        }
+      }
+      if (!backendUri) {
+        res.writeHead(overrides.statusCode || 200, overrides.headers);
+        res.end();
+        return;
+      }
+      return forward(
+        req,
+        res,
+        substitute(backendUri, proxy.params) + (target.search || ""),
+        body,
+        overrides
+      );
+    }
+
+    const fn = findRoute(app.functions, req.method, path);
+    if (fn) {
+      return invokeFunction(req, res, target, body, fn.route, fn.params);
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handle(req, res, await readBody(req));
+    } catch (error) {
+      console.error(error);
+      if (!res.headersSent) {
+        res.writeHead(500);
+      }
+      res.end();
+    }
+  });
+
+  server.on("listening", () => {
+    const { port } = server.address();
+    origin = `http://localhost:${port}`;
+    // Functions calling blob storage or their own host, e.g., forwarding functions on runtime v4,
+    // are pointed at the preview instead, until it is closed
+    const hostname = process.env.WEBSITE_HOSTNAME;
+    process.env.WEBSITE_HOSTNAME = `localhost:${port}`;
+    const restore = redirectRequests(port);
+    server.once("close", () => {
+      restore();
+      if (hostname === undefined) {
+        delete process.env.WEBSITE_HOSTNAME;
+      } else {
+        process.env.WEBSITE_HOSTNAME = hostname;
+      }
+    });
+  });
+
+  return server;
+}
+
+/**
+ * Sends the HTTPS requests functions make to blob storage or to the app itself to the preview
+ *
+ * @returns A function putting the original `https.request` back
+ */
+function redirectRequests(port) {
+  const request = https.request;
+  https.request = function(options, ...rest) {
+    const target = typeof options === "string" ? url.parse(options) : options;
+    const hostname = target.hostname || target.host || "";
+    if (isAssetsHost(hostname.replace(/:\d+$/, ""))) {
+      return http.request(
+        Object.assign({}, target, {
+          protocol: "http:",
+          hostname: "127.0.0.1",
+          host: undefined,
+          port,
+          path: `${BLOB_PREFIX}${target.path || target.pathname}`
+        }),
+        ...rest
+      );
+    }
+    if (hostname.replace(/:\d+$/, "") === "localhost") {
+      return http.request(
+        Object.assign({}, target, {
+          protocol: "http:",
+          hostname: "127.0.0.1",
+          host: undefined,
+          port
+        }),
+        ...rest
+      );
+    }
+    return request.call(this, options, ...rest);
+  };
+  return () => {
+    https.request = request;
+  };
+}
+
+/**
+ * Unpacks the function package into a temporary folder, the preview runs the exact artifact
+ */
+async function unpack(packagePath) {
+  const wwwroot = await fse.mkdtemp(
+    join(os.tmpdir(), "publish-next-preview-")
+  );
+  await extractZip(packagePath, wwwroot);
+  return wwwroot;
+}
+
+function parseArguments(args) {
+  const options = {
+    package: "build/package.zip",
+    assets: "build/assets",
+    public: "public",
+    port: "3000"
+  };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, "");
+    if (!(name in options) || args[i + 1] === undefined) {
+      throw new Error(
+        "Usage: preview [--package build/package.zip] [--assets build/assets] [--public public] [--port 3000]"
+      );
+    }
+    options[name] = args[i + 1];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const wwwroot = await unpack(resolve(options.package));
+  const server = await createPreviewServer({
+    wwwroot,
+    assetsPath: resolve(options.assets),
+    publicPath: resolve(options.public)
+  });
+  server.listen(Number(options.port), () => {
+    const { port } = server.address();
+    console.log(`Previewing ${options.package} on http://localhost:${port}/`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+exports.createPreviewServer = createPreviewServer;
+exports.compileRoute = compileRoute;
+exports.unpack = unpack;
@@ -0,0 +1,899 @@
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const fse = require("fs-extra");
+const os = require("os");
+const { dirname, join } = require("path");
+const glob = require("tiny-glob");
+
+const { cdnSettings } = require("../cdn");
+const { perform } = require("../plan");
+
+const execFileAsync = promisify(execFile);
+
+// Deploys to Azure through the Azure CLI, which Azure Login must have signed in beforehand. The CLI
+// is run without a shell, so configuration values are passed as they are and never interpreted.
+
+/**
+ * Builds the arguments of an Azure CLI command
+ *
+ * @param words The command, e.g., `["group", "create"]`
+ * @param options Options by their name in camel case, e.g., `{ resourceGroup }` for
+ * `--resource-group`. `true` passes a flag, an array several values, `undefined` leaves it out.
+ */
+function args(words, options = {}) {
+  const result = words.slice();
+  for (const key of Object.keys(options)) {
+    const value = options[key];
+    if (value === undefined || value === false) {
+      continue;
+    }
+    result.push(`--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+    if (value !== true) {
+      result.push(...[].concat(value).map(String));
+    }
+  }
+  return result;
+}
+
+/**
+ * Describes a command the way it would be typed into a shell
+ */
+function formatCommand(command) {
+  return ["az"]
+    .concat(command)
+    .map(arg =>
+      /^[\w@%+=:,./~-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`
+    )
+    .join(" ");
+}
+
+function az(command) {
+  return execFileAsync("az", command, { maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Runs an Azure CLI command, or adds it to the deployment plan on a dry run
+ *
+ * @param operation `{ action, resource, name, command, existsCommand, planCommand, details }`,
+ * the commands being arguments as built by `args`. `existsCommand` is a read-only command that only
+ * succeeds if the resource exists, a dry run uses it to tell whether the resource would be created
+ * or updated. `planCommand` is shown in the plan instead of the command, e.g., to hide secrets.
+ */
+async function azure(config, operation) {
+  const { command, existsCommand, planCommand } = operation;
+  return perform(
+    config,
+    Object.assign({}, operation, {
+      command: formatCommand(planCommand || command),
+      exists: existsCommand && (() => succeeds(existsCommand))
+    }),
+    () => az(command)
+  );
+}
+
+async function succeeds(command) {
+  try {
+    await az(command);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function uploadDetails(source) {
+  if (!(await fse.pathExists(source))) {
+    return { source, files: 0 };
+  }
+  const files = await glob("**/*", { cwd: source, filesOnly: true, dot: true });
+  return { source, files: files.length };
+}
+
+function appName(config) {
+  return config.slot ? `${config.name}/${config.slot}` : config.name;
+}
+
+async function checkAvailable() {
+  try {
+    await az(["--version"]);
+  } catch (error) {
+    console.log("Unable to find Azure CLI");
+    throw new Error(error);
+  }
+}
+
+async function ensureResourceGroup(config) {
+  const { subscriptionId, resourceGroup, location } = config;
+  const group = { subscription: subscriptionId, name: resourceGroup };
+
+  try {
+    console.log(`Creating resource group '${resourceGroup}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "resource group",
+      name: resourceGroup,
+      command: args(
+        ["group", "create"],
+        Object.assign({}, group, { location })
+      ),
+      existsCommand: args(["group", "show"], group),
+      details: { location }
+    });
+  } catch (error) {
+    console.log("Unable to create resource group");
+    throw error;
+  }
+}
+
+async function ensureStorage(config) {
+  const {
+    subscriptionId,
+    resourceGroup,
+    location,
+    storageAccount,
+    assetsContainerName,
+    releasesContainerName
+  } = config;
+  const account = {
+    subscription: subscriptionId,
+    name: storageAccount,
+    resourceGroup
+  };
+  const container = containerName => ({
+    subscription: subscriptionId,
+    name: containerName,
+    accountName: storageAccount
+  });
+
+  try {
+    console.log(`Creating storage account '${storageAccount}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "storage account",
+      name: storageAccount,
+      command: args(
+        ["storage", "account", "create"],
+        Object.assign({}, account, {
+          location,
+          kind: "StorageV2",
+          sku: "Standard_LRS"
+        })
+      ),
+      existsCommand: args(["storage", "account", "show"], account),
+      details: { location, sku: "Standard_LRS" }
+    });
+  } catch (error) {
+    console.log("Unable to create storage account");
+    throw error;
+  }
+
+  try {
+    console.log(`Creating storage container '${assetsContainerName}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "storage container",
+      name: `${storageAccount}/${assetsContainerName}`,
+      command: args(
+        ["storage", "container", "create"],
+        container(assetsContainerName)
+      ),
+      existsCommand: args(
+        ["storage", "container", "show"],
+        container(assetsContainerName)
+      )
+    });
+  } catch (error) {
+    console.log("Unable to create storage container");
+    throw error;
+  }
+
+  try {
+    console.log(`Setting storage container permissions...`);
+    await azure(config, {
+      action: "update",
+      resource: "storage container",
+      name: `${storageAccount}/${assetsContainerName}`,
+      command: args(
+        ["storage", "container", "set-permission"],
+        Object.assign(container(assetsContainerName), { publicAccess: "blob" })
+      ),
+      details: { "public access": "blob" }
+    });
+  } catch (error) {
+    console.log("Unable to set storage container permissions");
+    throw error;
+  }
+
+  try {
+    // releases hold the function package, so unlike the assets they aren't public
+    console.log(`Creating storage container '${releasesContainerName}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "storage container",
+      name: `${storageAccount}/${releasesContainerName}`,
+      command: args(
+        ["storage", "container", "create"],
+        container(releasesContainerName)
+      ),
+      existsCommand: args(
+        ["storage", "container", "show"],
+        container(releasesContainerName)
+      )
+    });
+  } catch (error) {
+    console.log("Unable to create releases container");
+    throw error;
+  }
+}
+
+/**
+ * Creates the CDN profile and an endpoint with the storage account as its origin
+ */
+async function ensureCdn(config) {
+  const { subscriptionId, resourceGroup, storageAccount } = config;
+  const { profile, endpoint, sku } = cdnSettings(config);
+  const origin = `${storageAccount}.blob.core.windows.net`;
+  const cdnProfile = {
+    subscription: subscriptionId,
+    resourceGroup,
+    name: profile
+  };
+  const cdnEndpoint = {
+    subscription: subscriptionId,
+    resourceGroup,
+    profileName: profile,
+    name: endpoint
+  };
+
+  try {
+    console.log(`Creating CDN profile '${profile}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "CDN profile",
+      name: profile,
+      command: args(
+        ["cdn", "profile", "create"],
+        Object.assign({}, cdnProfile, { sku })
+      ),
+      existsCommand: args(["cdn", "profile", "show"], cdnProfile),
+      details: { sku }
+    });
+  } catch (error) {
+    console.log("Unable to create CDN profile");
+    throw error;
+  }
+
+  try {
+    console.log(`Creating CDN endpoint '${endpoint}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "CDN endpoint",
+      name: `${profile}/${endpoint}`,
+      command: args(
+        ["cdn", "endpoint", "create"],
+        Object.assign({}, cdnEndpoint, { origin, originHostHeader: origin })
+      ),
+      existsCommand: args(["cdn", "endpoint", "show"], cdnEndpoint),
+      details: { origin }
+    });
+  } catch (error) {
+    console.log("Unable to create CDN endpoint");
+    throw error;
+  }
+}
+
+/**
+ * Purges paths from the CDN endpoint, in chunks as a purge takes a limited number of paths
+ *
+ * @param paths Url paths, starting with the container
+ */
+async function purgeCdn(config, paths) {
+  const { subscriptionId, resourceGroup } = config;
+  const { profile, endpoint } = cdnSettings(config);
+
+  const chunkSize = 50;
+  for (let i = 0; i < paths.length; i += chunkSize) {
+    const chunk = paths.slice(i, i + chunkSize);
+    await azure(config, {
+      action: "purge",
+      resource: "CDN endpoint",
+      name: `${profile}/${endpoint}`,
+      command: args(["cdn", "endpoint", "purge"], {
+        subscription: subscriptionId,
+        resourceGroup,
+        profileName: profile,
+        name: endpoint,
+        contentPaths: chunk
+      }),
+      details: { paths: chunk.length }
+    });
+  }
+}
+
+async function ensureFunctionApp(config) {
+  const {
+    subscriptionId,
+    resourceGroup,
+    location,
+    storageAccount,
+    name,
+    plan,
+    functionsVersion,
+    nodeVersion
+  } = config;
+  const app = { subscription: subscriptionId, resourceGroup, name };
+
+  try {
+    console.log(
+      plan
+        ? `Creating function app '${name}' using '${plan}' plan...`
+        : `Creating function app '${name}' using consumption plan...`
+    );
+    await azure(config, {
+      action: "create",
+      resource: "function app",
+      name,
+      command: args(
+        ["functionapp", "create"],
+        Object.assign({}, app, {
+          plan,
+          consumptionPlanLocation: plan ? undefined : location,
+          storageAccount,
+          runtime: "node",
+          functionsVersion,
+          runtimeVersion: nodeVersion
+        })
+      ),
+      existsCommand: args(["functionapp", "show"], app),
+      details: {
+        plan: plan || `consumption (${location})`,
+        runtime: `Functions ~${functionsVersion}, Node ~${nodeVersion}`
+      }
+    });
+  } catch (error) {
+    console.log("Unable to create function app");
+    throw error;
+  }
+}
+
+/**
+ * Creates the deployment slot named by `slot`, copying the configuration of the function app
+ */
+async function ensureSlot(config) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+  const app = { subscription: subscriptionId, resourceGroup, name, slot };
+
+  try {
+    console.log(`Creating slot '${slot}' of function app '${name}'...`);
+    await azure(config, {
+      action: "create",
+      resource: "function app slot",
+      name: appName(config),
+      command: args(
+        ["functionapp", "deployment", "slot", "create"],
+        Object.assign({}, app, { configurationSource: name })
+      ),
+      existsCommand: args(["webapp", "show"], app)
+    });
+  } catch (error) {
+    console.log("Unable to create function app slot");
+    throw error;
+  }
+}
+
+/**
+ * Swaps the slot named by `slot` into production, Azure warms it up before switching over
+ */
+async function swapSlot(config) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+
+  await azure(config, {
+    action: "update",
+    resource: "function app",
+    name,
+    command: args(["functionapp", "deployment", "slot", "swap"], {
+      subscription: subscriptionId,
+      resourceGroup,
+      name,
+      slot,
+      targetSlot: "production"
+    }),
+    details: { swap: `${slot} -> production` }
+  });
+}
+
+/**
+ * Sets app settings on the function app. Values are handed to the CLI in a settings file, so their
+ * size and characters don't matter, and neither the plan of a dry run nor the process list shows
+ * them.
+ */
+async function setAppSettings(config, settings) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+  const keys = Object.keys(settings);
+  const command = file =>
+    args(["functionapp", "config", "appsettings", "set"], {
+      subscription: subscriptionId,
+      resourceGroup,
+      name,
+      slot,
+      settings: `@${file}`
+    });
+
+  await perform(
+    config,
+    {
+      action: "update",
+      resource: "app settings of",
+      name: appName(config),
+      command: formatCommand(command("settings.json")),
+      details: { settings: keys }
+    },
+    async () => {
+      const folder = await fse.mkdtemp(join(os.tmpdir(), "publish-next-"));
+      const file = join(folder, "settings.json");
+      try {
+        await fse.writeJson(
+          file,
+          keys.map(key => ({
+            name: key,
+            value: String(settings[key]),
+            slotSetting: false
+          })),
+          { mode: 0o600 }
+        );
+        await az(command(file));
+      } finally {
+        await fse.remove(folder);
+      }
+    }
+  );
+}
+
+/**
+ * Reads the app settings of the function app, read-only so it runs on a dry run too
+ *
+ * @returns The settings by their name, none if a dry run is about to create the app
+ */
+async function getAppSettings(config) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+
+  try {
+    const { stdout } = await az(
+      args(["functionapp", "config", "appsettings", "list"], {
+        subscription: subscriptionId,
+        resourceGroup,
+        name,
+        slot
+      })
+    );
+    return JSON.parse(stdout).reduce(
+      (settings, setting) =>
+        Object.assign(settings, { [setting.name]: setting.value || "" }),
+      {}
+    );
+  } catch (error) {
+    if (config.dryRun) {
+      return {};
+    }
+    console.log("Unable to read app settings");
+    throw error;
+  }
+}
+
+async function deleteAppSettings(config, keys) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+
+  await azure(config, {
+    action: "delete",
+    resource: "app settings of",
+    name: appName(config),
+    command: args(["functionapp", "config", "appsettings", "delete"], {
+      subscription: subscriptionId,
+      resourceGroup,
+      name,
+      slot,
+      settingNames: keys
+    }),
+    details: { settings: keys }
+  });
+}
+
+/**
+ * Turns on the managed identity of the function app and lets it read the secrets of the vaults,
+ * by a role assignment for vaults using Azure RBAC and by an access policy for the others
+ */
+async function grantKeyVaultAccess(config, vaults) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+
+  const identity = await azure(config, {
+    action: "update",
+    resource: "identity of",
+    name: appName(config),
+    command: args(["functionapp", "identity", "assign"], {
+      subscription: subscriptionId,
+      resourceGroup,
+      name,
+      slot
+    }),
+    details: { identity: "system assigned" }
+  });
+  const principalId = identity
+    ? JSON.parse(identity.stdout).principalId
+    : "<principal id>";
+
+  for (const vault of vaults) {
+    let properties;
+    try {
+      const { stdout } = await az(
+        args(["keyvault", "show"], {
+          subscription: subscriptionId,
+          name: vault
+        })
+      );
+      properties = JSON.parse(stdout);
+    } catch (error) {
+      console.log(`Unable to find Key Vault '${vault}'`);
+      throw error;
+    }
+
+    await azure(config, {
+      action: "update",
+      resource: "Key Vault",
+      name: vault,
+      command: properties.properties.enableRbacAuthorization
+        ? args(["role", "assignment", "create"], {
+            assigneeObjectId: principalId,
+            assigneePrincipalType: "ServicePrincipal",
+            role: "Key Vault Secrets User",
+            scope: properties.id
+          })
+        : args(["keyvault", "set-policy"], {
+            subscription: subscriptionId,
+            name: vault,
+            objectId: principalId,
+            secretPermissions: "get"
+          }),
+      details: { "secrets readable by": appName(config) }
+    });
+  }
+}
+
+async function deployPackage(config, packagePath) {
+  const { subscriptionId, resourceGroup, name, slot } = config;
+
+  const maxAttempts = 3;
+  for (let attempt = 1; attempt <= maxAttempts; ++attempt) {
+    try {
+      console.log(
+        `Attempting to upload package (${attempt}/${maxAttempts})...`
+      );
+      await azure(config, {
+        action: "deploy",
+        resource: "package to",
+        name: appName(config),
+        command: args(["functionapp", "deployment", "source", "config-zip"], {
+          subscription: subscriptionId,
+          name,
+          resourceGroup,
+          src: packagePath,
+          slot
+        }),
+        details: { package: packagePath }
+      });
+      console.log(`Upload successful`);
+      break;
+    } catch (e) {
+      if (attempt + 1 <= maxAttempts) {
+        console.log(
+          `Could not deploy package to Azure function app, waiting 5s and then retrying... ${e.message}`
+        );
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      } else {
+        throw new Error("Could not deploy package to Azure function app", e);
+      }
+    }
+  }
+}
+
+/**
+ * Uploads every file below the source folder into the assets container
+ *
+ * @param source Folder laid out like the container
+ * @param properties `{ contentType, contentEncoding, cacheControl }` set on every uploaded blob
+ */
+async function uploadAssets(config, source, properties) {
+  const { subscriptionId, storageAccount, assetsContainerName } = config;
+  const { contentType, contentEncoding, cacheControl } = properties;
+
+  await azure(config, {
+    action: "upload",
+    resource: "assets to",
+    name: `${storageAccount}/${assetsContainerName}`,
+    command: args(["storage", "blob", "upload-batch"], {
+      subscription: subscriptionId,
+      accountName: storageAccount,
+      destination: assetsContainerName,
+      source,
+      contentType,
+      contentCacheControl: cacheControl,
+      contentEncoding,
+      overwrite: true
+    }),
+    details: Object.assign(await uploadDetails(source), properties)
+  });
+}
+
+async function deleteAssets(config, paths) {
+  const { subscriptionId, storageAccount, assetsContainerName } = config;
+
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "assets from",
+      name: `${storageAccount}/${assetsContainerName}`,
+      details: { blobs: paths.length }
+    },
+    async () => {
+      for (const path of paths) {
+        await az(
+          args(["storage", "blob", "delete"], {
+            subscription: subscriptionId,
+            accountName: storageAccount,
+            containerName: assetsContainerName,
+            name: path
+          })
+        );
+      }
+    }
+  );
+}
+
+async function uploadRelease(config, source, release) {
+  const { subscriptionId, storageAccount, releasesContainerName } = config;
+
+  await azure(config, {
+    action: "upload",
+    resource: "release to",
+    name: `${storageAccount}/${releasesContainerName}/${release}`,
+    command: args(["storage", "blob", "upload-batch"], {
+      subscription: subscriptionId,
+      accountName: storageAccount,
+      destination: releasesContainerName,
+      destinationPath: release,
+      source
+    }),
+    details: await uploadDetails(source)
+  });
+}
+
+/**
+ * Downloads a stored release into the destination folder, read-only so it runs on a dry run too
+ */
+async function downloadRelease(config, release, destination) {
+  const { subscriptionId, storageAccount, releasesContainerName } = config;
+  // blobs are downloaded with their full name, i.e. below a folder named after the release
+  const downloadPath = `${destination}-download`;
+
+  await fse.emptyDir(downloadPath);
+  await az(
+    args(["storage", "blob", "download-batch"], {
+      subscription: subscriptionId,
+      accountName: storageAccount,
+      source: releasesContainerName,
+      destination: downloadPath,
+      pattern: `${release}/*`
+    })
+  );
+  if (!(await fse.pathExists(join(downloadPath, release)))) {
+    throw new Error(
+      `Unable to find release '${release}' in container '${releasesContainerName}'`
+    );
+  }
+  await fse.copy(join(downloadPath, release), destination);
+  await fse.remove(downloadPath);
+}
+
+async function deleteRelease(config, release) {
+  const { subscriptionId, storageAccount, releasesContainerName } = config;
+
+  await azure(config, {
+    action: "delete",
+    resource: "release",
+    name: `${storageAccount}/${releasesContainerName}/${release}`,
+    command: args(["storage", "blob", "delete-batch"], {
+      subscription: subscriptionId,
+      accountName: storageAccount,
+      source: releasesContainerName,
+      pattern: `${release}/*`
+    })
+  });
+}
+
+function documentBlob(config, name) {
+  const { subscriptionId, storageAccount, releasesContainerName } = config;
+  return {
+    subscription: subscriptionId,
+    accountName: storageAccount,
+    containerName: releasesContainerName,
+    name
+  };
+}
+
+/**
+ * Reads a JSON document kept in the releases container
+ *
+ * @returns The document, or `undefined` if it doesn't exist yet
+ */
+async function readDocument(config, name) {
+  const { buildOutputPath } = config;
+  const blob = documentBlob(config, name);
+  const path = join(buildOutputPath, "releases", name);
+
+  if (!(await succeeds(args(["storage", "blob", "show"], blob)))) {
+    return undefined;
+  }
+  await fse.ensureDir(dirname(path));
+  await az(
+    args(
+      ["storage", "blob", "download"],
+      Object.assign({}, blob, { file: path })
+    )
+  );
+  return fse.readJson(path);
+}
+
+async function writeDocument(config, name, document) {
+  const { storageAccount, releasesContainerName, buildOutputPath } = config;
+  const path = join(buildOutputPath, "releases", name);
+
+  await fse.outputJson(path, document, { spaces: 2 });
+  await azure(config, {
+    action: "update",
+    resource: "document",
+    name: `${storageAccount}/${releasesContainerName}/${name}`,
+    command: args(
+      ["storage", "blob", "upload"],
+      Object.assign(documentBlob(config, name), { file: path, overwrite: true })
+    )
+  });
+}
+
+/**
+ * Lists the names of the function apps in the resource group, read-only so it runs on a dry run too
+ */
+async function listFunctionApps(config) {
+  const { subscriptionId, resourceGroup } = config;
+
+  if (
+    !(await succeeds(
+      args(["group", "show"], {
+        subscription: subscriptionId,
+        name: resourceGroup
+      })
+    ))
+  ) {
+    return [];
+  }
+  const { stdout } = await az(
+    args(["functionapp", "list"], {
+      subscription: subscriptionId,
+      resourceGroup,
+      query: "[].name"
+    })
+  );
+  return JSON.parse(stdout);
+}
+
+/**
+ * Lists the names of the containers in the storage account, read-only so it runs on a dry run too
+ */
+async function listContainers(config) {
+  const { subscriptionId, resourceGroup, storageAccount } = config;
+
+  if (
+    !(await succeeds(
+      args(["storage", "account", "show"], {
+        subscription: subscriptionId,
+        name: storageAccount,
+        resourceGroup
+      })
+    ))
+  ) {
+    return [];
+  }
+  const { stdout } = await az(
+    args(["storage", "container", "list"], {
+      subscription: subscriptionId,
+      accountName: storageAccount,
+      query: "[].name"
+    })
+  );
+  return JSON.parse(stdout);
+}
+
+async function deleteEnvironment(config) {
+  const {
+    name,
+    subscriptionId,
+    resourceGroup,
+    assetsContainerName,
+    releasesContainerName,
+    storageAccount
+  } = config;
+
+  const app = { subscription: subscriptionId, resourceGroup, name };
+
+  // a clean up that failed halfway may run again, resources already gone are skipped
+  if (config.dryRun || (await succeeds(args(["functionapp", "show"], app)))) {
+    console.log(`Deleting function app '${name}'...`);
+    await azure(config, {
+      action: "delete",
+      resource: "function app",
+      name,
+      command: args(["functionapp", "delete"], app)
+    });
+  }
+
+  for (const containerName of [assetsContainerName, releasesContainerName]) {
+    console.log(`Deleting storage container '${containerName}'...`);
+    await azure(config, {
+      action: "delete",
+      resource: "storage container",
+      name: `${storageAccount}/${containerName}`,
+      command: args(["storage", "container", "delete"], {
+        subscription: subscriptionId,
+        name: containerName,
+        accountName: storageAccount
+      })
+    });
+  }
+  if (!config.dryRun) {
+    await az(args(["extension", "add"], { name: "application-insights" }));
+  }
+
+  const component = { subscription: subscriptionId, resourceGroup, app: name };
+  const componentCommand = ["monitor", "app-insights", "component"];
+  if (
+    config.dryRun ||
+    (await succeeds(args(componentCommand.concat(["show"]), component)))
+  ) {
+    console.log(`Deleting app-insights '${name}'...`);
+    await azure(config, {
+      action: "delete",
+      resource: "app-insights",
+      name,
+      command: args(componentCommand.concat(["delete"]), component)
+    });
+  }
+}
+
+function siteUrl(config) {
+  const { name, slot, basePath = "" } = config;
+  const host = slot ? `${name}-${slot}` : name;
+  return `https://${host}.azurewebsites.net/${basePath}`;
+}
+
+exports.checkAvailable = checkAvailable;
+exports.ensureResourceGroup = ensureResourceGroup;
+exports.ensureStorage = ensureStorage;
+exports.ensureCdn = ensureCdn;
+exports.purgeCdn = purgeCdn;
+exports.ensureFunctionApp = ensureFunctionApp;
+exports.ensureSlot = ensureSlot;
+exports.swapSlot = swapSlot;
+exports.setAppSettings = setAppSettings;
+exports.getAppSettings = getAppSettings;
+exports.deleteAppSettings = deleteAppSettings;
+exports.grantKeyVaultAccess = grantKeyVaultAccess;
+exports.deployPackage = deployPackage;
+exports.uploadAssets = uploadAssets;
+exports.deleteAssets = deleteAssets;
+exports.uploadRelease = uploadRelease;
+exports.downloadRelease = downloadRelease;
+exports.deleteRelease = deleteRelease;
+exports.readDocument = readDocument;
+exports.writeDocument = writeDocument;
+exports.listFunctionApps = listFunctionApps;
+exports.listContainers = listContainers;
+exports.deleteEnvironment = deleteEnvironment;
+exports.siteUrl = siteUrl;
@@ -0,0 +1,58 @@
+const azureCli = require("./azureCli");
+const local = require("./local");
+
+// A provider deploys the packaged app somewhere. Every provider implements:
+//
+//   checkAvailable(config)                            fails early if the target can't be used
+//   ensureResourceGroup(config)
+//   ensureStorage(config)                             storage account, assets and releases containers
+//   ensureCdn(config)                                 CDN profile and endpoint from `cdn`
+//   purgeCdn(config, paths)                           url paths, starting with the container
+//   ensureFunctionApp(config)
+//   ensureSlot(config)                                deployment slot named by `slot`
+//   swapSlot(config)                                  swaps the slot named by `slot` into production
+//   setAppSettings(config, settings)                  of the slot named by `slot`, if set
+//   getAppSettings(config)                            settings by name, read-only
+//   deleteAppSettings(config, keys)
+//   grantKeyVaultAccess(config, vaults)               lets the app's managed identity read secrets
+//   deployPackage(config, packagePath)                to the slot named by `slot`, if set
+//   uploadAssets(config, source, properties)          source laid out like the assets container,
+//                                                     `{ contentType, contentEncoding, cacheControl }`
+//                                                     on every blob
+//   deleteAssets(config, paths)                       paths in the assets container
+//   uploadRelease(config, source, release)            release folder into the releases container,
+//                                                     `release` being its path, `<name>/<sha>`
+//   downloadRelease(config, release, destination)
+//   deleteRelease(config, release)
+//   readDocument(config, name)                        JSON document in the releases container
+//   writeDocument(config, name, document)
+//   listFunctionApps(config)                          names of the apps in the resource group
+//   listContainers(config)                            names of the containers in the storage account
+//   deleteEnvironment(config)                         function app and containers, skipping those gone
+//   siteUrl(config)                                   of the slot named by `slot`, if set
+//
+// Operations go through `perform` from ../plan, so a dry run collects them instead.
+
+const providers = {
+  azure: azureCli,
+  local
+};
+
+/**
+ * Picks the provider named by the `provider` configuration value
+ */
+function selectProvider(config) {
+  const provider = providers[config.provider];
+  if (!provider) {
+    throw new Error(
+      `Configuration value is invalid: provider. Expected one of ${Object.keys(
+        providers
+      )
+        .map(name => `'${name}'`)
+        .join(", ")}, actual '${config.provider}'`
+    );
+  }
+  return provider;
+}
+
+exports.selectProvider = selectProvider;
@@ -0,0 +1,551 @@
+const fse = require("fs-extra");
+const { join } = require("path");
+const { pathToFileURL } = require("url");
+
+const { cdnSettings } = require("../cdn");
+const { perform } = require("../plan");
+const { extractZip } = require("../zip");
+
+// Writes the function app and the blob layout to disk instead of Azure, so the whole action can run
+// offline. Everything is placed below `localPath`, one folder per resource group:
+//
+//   <resourceGroup>/storage/<storageAccount>/<container>/...  blobs, releases alike
+//   <resourceGroup>/functionapps/<name>/wwwroot/...            unpacked function package
+//   <resourceGroup>/functionapps/<name>/app.json               runtime and app settings
+//   <resourceGroup>/functionapps/<name>/slots/<slot>/...        the same for a deployment slot
+//   <resourceGroup>/cdn/<profile>/<endpoint>.json             CDN endpoint and its purges
+
+function resourceGroupPath(config) {
+  return join(config.localPath, config.resourceGroup);
+}
+
+function containerPath(config, containerName = config.assetsContainerName) {
+  return join(
+    resourceGroupPath(config),
+    "storage",
+    config.storageAccount,
+    containerName
+  );
+}
+
+function releasesPath(config) {
+  return containerPath(config, config.releasesContainerName);
+}
+
+function cdnEndpointPath(config) {
+  const { profile, endpoint } = cdnSettings(config);
+  return join(resourceGroupPath(config), "cdn", profile, `${endpoint}.json`);
+}
+
+function appName(config) {
+  return config.slot ? `${config.name}/${config.slot}` : config.name;
+}
+
+function functionAppPath(config) {
+  const path = join(resourceGroupPath(config), "functionapps", config.name);
+  return config.slot ? join(path, "slots", config.slot) : path;
+}
+
+async function updateJson(path, update) {
+  const current = (await fse.pathExists(path)) ? await fse.readJson(path) : {};
+  await fse.outputJson(path, update(current), { spaces: 2 });
+}
+
+async function checkAvailable(config) {
+  console.log(`Deploying to local folder '${config.localPath}'`);
+}
+
+async function ensureResourceGroup(config) {
+  const { resourceGroup, location } = config;
+  const path = join(resourceGroupPath(config), "resource-group.json");
+
+  console.log(`Creating resource group '${resourceGroup}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "resource group",
+      name: resourceGroup,
+      exists: () => fse.pathExists(path),
+      details: { path: resourceGroupPath(config), location }
+    },
+    () => updateJson(path, current => Object.assign(current, { location }))
+  );
+}
+
+async function ensureStorage(config) {
+  const { storageAccount, assetsContainerName, releasesContainerName } = config;
+  const path = containerPath(config);
+
+  console.log(`Creating storage container '${assetsContainerName}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "storage container",
+      name: `${storageAccount}/${assetsContainerName}`,
+      exists: () => fse.pathExists(path),
+      details: { path }
+    },
+    () => fse.ensureDir(path)
+  );
+
+  console.log(`Creating storage container '${releasesContainerName}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "storage container",
+      name: `${storageAccount}/${releasesContainerName}`,
+      exists: () => fse.pathExists(releasesPath(config)),
+      details: { path: releasesPath(config) }
+    },
+    () => fse.ensureDir(releasesPath(config))
+  );
+}
+
+async function ensureCdn(config) {
+  const { storageAccount } = config;
+  const { profile, endpoint, sku, hostName } = cdnSettings(config);
+  const path = cdnEndpointPath(config);
+
+  console.log(`Creating CDN endpoint '${endpoint}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "CDN endpoint",
+      name: `${profile}/${endpoint}`,
+      exists: () => fse.pathExists(path),
+      details: { path }
+    },
+    () =>
+      updateJson(path, current =>
+        Object.assign(current, {
+          sku,
+          origin: `${storageAccount}.blob.core.windows.net`,
+          hostName,
+          purges: current.purges || []
+        })
+      )
+  );
+}
+
+/**
+ * Records the purged paths with the endpoint, a local CDN doesn't cache anything
+ */
+async function purgeCdn(config, paths) {
+  const { profile, endpoint } = cdnSettings(config);
+
+  await perform(
+    config,
+    {
+      action: "purge",
+      resource: "CDN endpoint",
+      name: `${profile}/${endpoint}`,
+      details: { paths: paths.length }
+    },
+    () =>
+      updateJson(cdnEndpointPath(config), current =>
+        Object.assign(current, {
+          purges: (current.purges || []).concat([
+            { purgedAt: new Date().toISOString(), paths }
+          ])
+        })
+      )
+  );
+}
+
+async function ensureFunctionApp(config) {
+  const {
+    name,
+    plan,
+    location,
+    storageAccount,
+    functionsVersion,
+    nodeVersion
+  } = config;
+  const path = join(functionAppPath(config), "app.json");
+
+  console.log(`Creating function app '${name}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "function app",
+      name,
+      exists: () => fse.pathExists(path),
+      details: { path: functionAppPath(config) }
+    },
+    () =>
+      updateJson(path, current =>
+        Object.assign(current, {
+          plan: plan || `consumption (${location})`,
+          storageAccount,
+          functionsVersion,
+          nodeVersion,
+          settings: current.settings || {}
+        })
+      )
+  );
+}
+
+/**
+ * Creates the deployment slot named by `slot`, starting from the runtime of the function app
+ */
+async function ensureSlot(config) {
+  const { name, slot } = config;
+  const path = join(functionAppPath(config), "app.json");
+  const productionPath = join(
+    functionAppPath(Object.assign({}, config, { slot: undefined })),
+    "app.json"
+  );
+
+  console.log(`Creating slot '${slot}' of function app '${name}'...`);
+  await perform(
+    config,
+    {
+      action: "create",
+      resource: "function app slot",
+      name: `${name}/${slot}`,
+      exists: () => fse.pathExists(path),
+      details: { path: functionAppPath(config) }
+    },
+    async () => {
+      const production = await fse.readJson(productionPath);
+      await updateJson(path, current =>
+        Object.assign({}, production, current, {
+          settings: current.settings || production.settings
+        })
+      );
+    }
+  );
+}
+
+/**
+ * Swaps the content and settings of the slot named by `slot` with the function app's
+ */
+async function swapSlot(config) {
+  const { name, slot } = config;
+  const slotPath = functionAppPath(config);
+  const productionPath = functionAppPath(
+    Object.assign({}, config, { slot: undefined })
+  );
+
+  await perform(
+    config,
+    {
+      action: "update",
+      resource: "function app",
+      name,
+      details: { swap: `${slot} -> production` }
+    },
+    async () => {
+      for (const entry of ["wwwroot", "app.json"]) {
+        // nothing may have been deployed to production yet
+        const swapping = join(slotPath, `${entry}.swap`);
+        const hasProduction = await fse.pathExists(join(productionPath, entry));
+        if (hasProduction) {
+          await fse.move(join(productionPath, entry), swapping, {
+            overwrite: true
+          });
+        }
+        await fse.move(join(slotPath, entry), join(productionPath, entry));
+        if (hasProduction) {
+          await fse.move(swapping, join(slotPath, entry));
+        }
+      }
+    }
+  );
+}
+
+async function setAppSettings(config, settings) {
+  const name = appName(config);
+  const path = join(functionAppPath(config), "app.json");
+
+  await perform(
+    config,
+    {
+      action: "update",
+      resource: "app settings of",
+      name,
+      details: { settings: Object.keys(settings) }
+    },
+    () =>
+      updateJson(path, current =>
+        Object.assign(current, {
+          settings: Object.assign({}, current.settings, settings)
+        })
+      )
+  );
+}
+
+async function getAppSettings(config) {
+  const path = join(functionAppPath(config), "app.json");
+  if (!(await fse.pathExists(path))) {
+    return {};
+  }
+  return (await fse.readJson(path)).settings || {};
+}
+
+async function deleteAppSettings(config, keys) {
+  const name = appName(config);
+  const path = join(functionAppPath(config), "app.json");
+
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "app settings of",
+      name,
+      details: { settings: keys }
+    },
+    () =>
+      updateJson(path, current => {
+        const settings = Object.assign({}, current.settings);
+        for (const key of keys) {
+          delete settings[key];
+        }
+        return Object.assign(current, { settings });
+      })
+  );
+}
+
+/**
+ * Records the vaults with the app, there is no identity to grant access to locally
+ */
+async function grantKeyVaultAccess(config, vaults) {
+  const name = appName(config);
+  const path = join(functionAppPath(config), "app.json");
+
+  await perform(
+    config,
+    {
+      action: "update",
+      resource: "identity of",
+      name,
+      details: { vaults }
+    },
+    () =>
+      updateJson(path, current =>
+        Object.assign(current, {
+          keyVaults: (current.keyVaults || [])
+            .concat(vaults)
+            .filter((vault, i, all) => all.indexOf(vault) === i)
+        })
+      )
+  );
+}
+
+/**
+ * Unpacks the package into the app's wwwroot, replacing the previous deployment like a new
+ * package does in Azure
+ */
+async function deployPackage(config, packagePath) {
+  const name = appName(config);
+  const wwwroot = join(functionAppPath(config), "wwwroot");
+
+  console.log(`Unpacking package into '${wwwroot}'...`);
+  await perform(
+    config,
+    {
+      action: "deploy",
+      resource: "package to",
+      name,
+      details: { package: packagePath, path: wwwroot }
+    },
+    () => extractZip(packagePath, wwwroot)
+  );
+}
+
+/**
+ * Copies every file below the source folder into the assets container. Blob properties aren't
+ * kept on disk, they only show in the plan of a dry run.
+ *
+ * @param source Folder laid out like the container
+ */
+async function uploadAssets(config, source, properties) {
+  const { storageAccount, assetsContainerName } = config;
+  const destination = containerPath(config);
+
+  await perform(
+    config,
+    {
+      action: "upload",
+      resource: "assets to",
+      name: `${storageAccount}/${assetsContainerName}`,
+      details: Object.assign({ source, path: destination }, properties)
+    },
+    async () => {
+      if (await fse.pathExists(source)) {
+        await fse.copy(source, destination);
+      }
+    }
+  );
+}
+
+async function deleteAssets(config, paths) {
+  const { storageAccount, assetsContainerName } = config;
+
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "assets from",
+      name: `${storageAccount}/${assetsContainerName}`,
+      details: { blobs: paths.length }
+    },
+    async () => {
+      for (const path of paths) {
+        await fse.remove(join(containerPath(config), path));
+      }
+    }
+  );
+}
+
+async function uploadRelease(config, source, release) {
+  const { storageAccount, releasesContainerName } = config;
+  const destination = join(releasesPath(config), release);
+
+  await perform(
+    config,
+    {
+      action: "upload",
+      resource: "release to",
+      name: `${storageAccount}/${releasesContainerName}/${release}`,
+      details: { source, path: destination }
+    },
+    () => fse.copy(source, destination)
+  );
+}
+
+/**
+ * Copies a stored release into the destination folder
+ */
+async function downloadRelease(config, release, destination) {
+  const source = join(releasesPath(config), release);
+  if (!(await fse.pathExists(source))) {
+    throw new Error(`Unable to find release '${release}' in '${source}'`);
+  }
+  await fse.copy(source, destination);
+}
+
+async function deleteRelease(config, release) {
+  const { storageAccount, releasesContainerName } = config;
+
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "release",
+      name: `${storageAccount}/${releasesContainerName}/${release}`
+    },
+    () => fse.remove(join(releasesPath(config), release))
+  );
+}
+
+/**
+ * Reads a JSON document kept in the releases container
+ *
+ * @returns The document, or `undefined` if it doesn't exist yet
+ */
+async function readDocument(config, name) {
+  const path = join(releasesPath(config), name);
+  if (!(await fse.pathExists(path))) {
+    return undefined;
+  }
+  return fse.readJson(path);
+}
+
+async function writeDocument(config, name, document) {
+  const { storageAccount, releasesContainerName } = config;
+  const path = join(releasesPath(config), name);
+
+  await perform(
+    config,
+    {
+      action: "update",
+      resource: "document",
+      name: `${storageAccount}/${releasesContainerName}/${name}`
+    },
+    () => fse.outputJson(path, document, { spaces: 2 })
+  );
+}
+
+async function listFunctionApps(config) {
+  const path = join(resourceGroupPath(config), "functionapps");
+  return (await fse.pathExists(path)) ? fse.readdir(path) : [];
+}
+
+async function listContainers(config) {
+  const { storageAccount } = config;
+  const path = join(resourceGroupPath(config), "storage", storageAccount);
+  return (await fse.pathExists(path)) ? fse.readdir(path) : [];
+}
+
+async function deleteEnvironment(config) {
+  const {
+    name,
+    storageAccount,
+    assetsContainerName,
+    releasesContainerName
+  } = config;
+
+  console.log(`Deleting function app '${name}'...`);
+  await perform(
+    config,
+    { action: "delete", resource: "function app", name },
+    () => fse.remove(functionAppPath(config))
+  );
+
+  console.log(`Deleting storage container '${assetsContainerName}'...`);
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "storage container",
+      name: `${storageAccount}/${assetsContainerName}`
+    },
+    () => fse.remove(containerPath(config))
+  );
+
+  console.log(`Deleting storage container '${releasesContainerName}'...`);
+  await perform(
+    config,
+    {
+      action: "delete",
+      resource: "storage container",
+      name: `${storageAccount}/${releasesContainerName}`
+    },
+    () => fse.remove(releasesPath(config))
+  );
+}
+
+function siteUrl(config) {
+  return pathToFileURL(join(functionAppPath(config), "wwwroot")).href;
+}
+
+exports.checkAvailable = checkAvailable;
+exports.ensureResourceGroup = ensureResourceGroup;
+exports.ensureStorage = ensureStorage;
+exports.ensureCdn = ensureCdn;
+exports.purgeCdn = purgeCdn;
+exports.ensureFunctionApp = ensureFunctionApp;
+exports.ensureSlot = ensureSlot;
+exports.swapSlot = swapSlot;
+exports.setAppSettings = setAppSettings;
+exports.getAppSettings = getAppSettings;
+exports.deleteAppSettings = deleteAppSettings;
+exports.grantKeyVaultAccess = grantKeyVaultAccess;
+exports.deployPackage = deployPackage;
+exports.uploadAssets = uploadAssets;
+exports.deleteAssets = deleteAssets;
+exports.uploadRelease = uploadRelease;
+exports.downloadRelease = downloadRelease;
+exports.deleteRelease = deleteRelease;
+exports.readDocument = readDocument;
+exports.writeDocument = writeDocument;
+exports.listFunctionApps = listFunctionApps;
+exports.listContainers = listContainers;
+exports.deleteEnvironment = deleteEnvironment;
+exports.siteUrl = siteUrl;
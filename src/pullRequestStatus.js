@@ -0,0 +1,231 @@
+// Reports the deployment of a pull request on GitHub. A single comment, found by a hidden marker,
+// is edited on every run instead of adding one per push, and a GitHub deployment is created for
+// every commit so the pull request links to its environment. Reporting is best effort, a failing GitHub
+// API never fails the deployment.
+
+const core = require("@actions/core");
+const github = require("@actions/github");
+
+const MARKER = "<!-- publish-next-function -->";
+
+// rows of the routes table, the rest is only counted
+const MAX_ROUTES = 50;
+const MAX_ERROR_LENGTH = 3000;
+
+const STATES = {
+  deploying: { icon: "⏳", label: "Deploying", deployment: "in_progress" },
+  deployed: { icon: "✅", label: "Deployed", deployment: "success" },
+  failed: { icon: "❌", label: "Failed", deployment: "failure" },
+  deleted: { icon: "🗑️", label: "Deleted", deployment: "inactive" }
+};
+
+async function attempt(description, action) {
+  try {
+    return await action();
+  } catch (error) {
+    // not failing the action for this
+    core.warning(`Unable to ${description} on GitHub: ${error.message}`);
+    return undefined;
+  }
+}
+
+function logUrl() {
+  const { owner, repo } = github.context.repo;
+  const server = process.env.GITHUB_SERVER_URL || "https://github.com";
+  const runId = process.env.GITHUB_RUN_ID;
+  return runId ? `${server}/${owner}/${repo}/actions/runs/${runId}` : undefined;
+}
+
+function formatRoutes(siteUrl, routes) {
+  const base = siteUrl.replace(/\/$/, "");
+  const lines = ["| Route | URL |", "| --- | --- |"].concat(
+    routes
+      .slice(0, MAX_ROUTES)
+      .map(route => `| \`${route}\` | ${base}${route} |`)
+  );
+  if (routes.length > MAX_ROUTES) {
+    lines.push(`| … | ${routes.length - MAX_ROUTES} more |`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Writes the comment for a state of the deployment
+ *
+ * @param details `{ sha, siteUrl, routes, error }`, each left out of the comment if missing
+ */
+function formatComment(state, details) {
+  const { sha, siteUrl, routes, error } = details;
+  const log = logUrl();
+  const facts = [
+    sha && `- Commit: ${sha}`,
+    `- Status: ${STATES[state].icon} ${STATES[state].label}`,
+    siteUrl && `- URL: ${siteUrl}`,
+    log && `- Logs: ${log}`
+  ].filter(line => line);
+
+  const sections = [`${MARKER}\n### Test environment`, facts.join("\n")];
+  if (error) {
+    const message =
+      error.message.length > MAX_ERROR_LENGTH
+        ? `${error.message.substring(0, MAX_ERROR_LENGTH)}…`
+        : error.message;
+    sections.push(`\`\`\`\n${message}\n\`\`\``);
+  }
+  if (siteUrl && routes && routes.length > 0) {
+    sections.push(formatRoutes(siteUrl, routes));
+  }
+  return sections.join("\n\n");
+}
+
+class PullRequestStatus {
+  /**
+   * @param config Configuration of the pull request's environment
+   * @param number Number of the pull request, the one of the event by default
+   */
+  constructor(config, number = github.context.payload.pull_request.number) {
+    const token = core.getInput("github_token");
+    this.config = config;
+    this.number = number;
+    this.repo = github.context.repo;
+    // statuses other than pending, success, error and failure are previews in this API version
+    this.client = token
+      ? new github.GitHub(token, { previews: ["ant-man", "flash"] })
+      : undefined;
+    this.commentId = undefined;
+    this.deploymentId = undefined;
+  }
+
+  /**
+   * Creates the deployment of the commit and reports that it is being deployed
+   */
+  async start() {
+    if (!this.client) {
+      console.log(
+        "No github_token set, the deployment isn't reported on the pull request."
+      );
+      return;
+    }
+    const { name, sha } = this.config;
+    const deployment = await attempt("create deployment", () =>
+      this.client.repos.createDeployment(
+        Object.assign({}, this.repo, {
+          ref: sha,
+          environment: name,
+          description: `Pull request #${this.number}`,
+          auto_merge: false,
+          required_contexts: [],
+          transient_environment: true,
+          production_environment: false
+        })
+      )
+    );
+    this.deploymentId = deployment && deployment.data.id;
+    await this.update("deploying", { sha });
+  }
+
+  /**
+   * Reports that the app is deployed and responds
+   */
+  async succeed(siteUrl) {
+    const { sha, routes } = this.config;
+    await this.update("deployed", { sha, siteUrl, routes });
+  }
+
+  /**
+   * Reports the error the deployment failed with
+   */
+  async fail(error) {
+    await this.update("failed", { sha: this.config.sha, error });
+  }
+
+  /**
+   * Marks every deployment of the environment inactive and the comment deleted, once the
+   * environment is gone
+   */
+  async deactivate() {
+    if (!this.client) {
+      return;
+    }
+    await attempt("mark deployments inactive", async () => {
+      const { data } = await this.client.repos.listDeployments(
+        Object.assign({}, this.repo, {
+          environment: this.config.name,
+          per_page: 100
+        })
+      );
+      for (const deployment of data) {
+        await this.client.repos.createDeploymentStatus(
+          Object.assign({}, this.repo, {
+            deployment_id: deployment.id,
+            state: STATES.deleted.deployment
+          })
+        );
+      }
+    });
+    // a pull request that never had an environment doesn't get a comment now
+    await this.updateComment("deleted", {}, false);
+  }
+
+  async update(state, details) {
+    if (!this.client) {
+      return;
+    }
+    await this.updateComment(state, details, true);
+    if (this.deploymentId) {
+      await attempt("update deployment status", () =>
+        this.client.repos.createDeploymentStatus(
+          Object.assign({}, this.repo, {
+            deployment_id: this.deploymentId,
+            state: STATES[state].deployment,
+            environment_url: details.siteUrl,
+            log_url: logUrl(),
+            description: STATES[state].label,
+            auto_inactive: true
+          })
+        )
+      );
+    }
+  }
+
+  async updateComment(state, details, create) {
+    const body = formatComment(state, details);
+    await attempt("update pull request comment", async () => {
+      if (!this.commentId) {
+        this.commentId = await this.findComment();
+      }
+      if (this.commentId) {
+        await this.client.issues.updateComment(
+          Object.assign({}, this.repo, { comment_id: this.commentId, body })
+        );
+      } else if (create) {
+        const { data } = await this.client.issues.createComment(
+          Object.assign({}, this.repo, { issue_number: this.number, body })
+        );
+        this.commentId = data.id;
+      }
+    });
+  }
+
+  async findComment() {
+    const perPage = 100;
+    for (let page = 1; ; ++page) {
+      const { data } = await this.client.issues.listComments(
+        Object.assign({}, this.repo, {
+          issue_number: this.number,
+          per_page: perPage,
+          page
+        })
+      );
+      const comment = data.find(c => (c.body || "").startsWith(MARKER));
+      if (comment) {
+        return comment.id;
+      }
+      if (data.length < perPage) {
+        return undefined;
+      }
+    }
+  }
+}
+
+exports.PullRequestStatus = PullRequestStatus;
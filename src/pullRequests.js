@@ -0,0 +1,227 @@
+// Environments deployed for pull requests. Each gets a function app and containers named after the
+// base configuration with the pull request's id as a suffix, in a storage account shared by all
+// pull requests. Closing a pull request deletes its environment, and a scheduled clean up deletes
+// those that are left behind. Each environment records the number of its pull request, so the
+// clean up can look it up without paging through the repository's pull requests.
+
+const core = require("@actions/core");
+const github = require("@actions/github");
+
+const { formatTable } = require("./table");
+const { PullRequestStatus } = require("./pullRequestStatus");
+
+const DOCUMENT = "pull-request.json";
+
+/**
+ * Adjusts a configuration to deploy a unique instance for a pull request
+ *
+ * @param pullRequestId Id of the pull request, not its number
+ */
+function pullRequestConfig(config, pullRequestId) {
+  // build a name from the provided name plus pull request id and make sure it doesn't exceed the 60 character limit
+  const pullRequestSuffix = `-${pullRequestId}`;
+  const nameLength = 60 - pullRequestSuffix.length;
+  // trim the provided name so the pull request id will fit and remove any non-alphanumeric characters from the end
+  const trimmedName = config.name
+    .substring(0, nameLength)
+    .replace(new RegExp("[^a-zA-Z0-9]+$"), "");
+
+  return Object.assign({}, config, {
+    pullRequestId,
+    name: `${trimmedName}-${pullRequestId}`,
+    // use a shared pr storage account with pr prefix - make sure it doesn't exceed the 24 character name limit
+    storageAccount: `pr${config.storageAccount}`.substring(0, 24),
+    // use a unique container for assets for each PR inside the shared storage account
+    assetsContainerName: `${config.assetsContainerName}-${pullRequestId}`,
+    releasesContainerName: `${config.releasesContainerName}-${pullRequestId}`,
+    // the CDN endpoint fronts the main storage account, pull requests get theirs served directly
+    cdn: undefined
+  });
+}
+
+/**
+ * Resolves the `pullRequestTtlDays` configuration value
+ *
+ * @returns Days after their last update that environments of open pull requests are deleted, or
+ * `undefined` if they are kept as long as the pull request is open
+ */
+function pullRequestTtl(config) {
+  const { pullRequestTtlDays } = config;
+  if (pullRequestTtlDays === undefined) {
+    return undefined;
+  }
+  if (typeof pullRequestTtlDays !== "number" || pullRequestTtlDays <= 0) {
+    throw new Error(
+      `Configuration value is invalid: pullRequestTtlDays. Expected a number of days, actual '${pullRequestTtlDays}'`
+    );
+  }
+  return pullRequestTtlDays;
+}
+
+/**
+ * Finds the ids of the pull requests that have resources deployed
+ */
+async function findEnvironments(provider, config) {
+  const ids = new Set();
+  for (const name of await provider.listFunctionApps(config)) {
+    const match = /-(\d+)$/.exec(name);
+    if (match && pullRequestConfig(config, match[1]).name === name) {
+      ids.add(match[1]);
+    }
+  }
+
+  // the shared storage account is the same for every pull request
+  const storageConfig = pullRequestConfig(config, "0");
+  const bases = [config.assetsContainerName, config.releasesContainerName];
+  for (const name of await provider.listContainers(storageConfig)) {
+    const match = /^(.*)-(\d+)$/.exec(name);
+    if (match && bases.includes(match[1])) {
+      ids.add(match[2]);
+    }
+  }
+  return Array.from(ids).sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Records the pull request of the event in its environment, for the clean up to look it up
+ */
+async function recordPullRequest(provider, config) {
+  const { owner, repo } = github.context.repo;
+  await provider.writeDocument(config, DOCUMENT, {
+    id: String(config.pullRequestId),
+    number: github.context.payload.pull_request.number,
+    repository: `${owner}/${repo}`
+  });
+}
+
+/**
+ * Looks up the pull request an environment was deployed for
+ *
+ * @returns `{ number, pullRequest }`, without the pull request if GitHub doesn't know it, or
+ * `undefined` if the environment doesn't record a pull request of this repository
+ */
+async function fetchPullRequest(provider, config, client, id) {
+  const { owner, repo } = github.context.repo;
+  const record = await provider.readDocument(
+    pullRequestConfig(config, id),
+    DOCUMENT
+  );
+  // environments deployed before pull requests were recorded, or from another repository
+  if (!record || record.repository !== `${owner}/${repo}`) {
+    return undefined;
+  }
+  try {
+    const { data } = await client.pulls.get({
+      owner,
+      repo,
+      pull_number: record.number
+    });
+    return { number: record.number, pullRequest: data };
+  } catch (error) {
+    if (error.status === 404) {
+      return { number: record.number, pullRequest: undefined };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decides whether the environment of a pull request is deleted
+ *
+ * @returns Why it is deleted, or `undefined` if it is kept
+ */
+function deletionReason(pullRequest, ttl) {
+  if (!pullRequest) {
+    return "pull request not found";
+  }
+  if (pullRequest.state === "closed") {
+    return pullRequest.merged_at ? "merged" : "closed";
+  }
+  const idleDays =
+    (Date.now() - Date.parse(pullRequest.updated_at)) / (24 * 60 * 60 * 1000);
+  if (ttl !== undefined && idleDays > ttl) {
+    return `not updated for ${Math.floor(idleDays)} days`;
+  }
+  return undefined;
+}
+
+/**
+ * Deletes the environments of pull requests that are closed, or that haven't been updated for
+ * `pullRequestTtlDays`, and prints what happened to each environment found
+ *
+ * @param config The base configuration, the one pull request environments are derived from
+ */
+async function cleanupPullRequests(provider, config) {
+  const ttl = pullRequestTtl(config);
+  console.log("Looking for pull request environments...");
+  const ids = await findEnvironments(provider, config);
+  if (ids.length === 0) {
+    console.log("No pull request environments found.");
+    return;
+  }
+  const token = core.getInput("github_token", { required: true });
+  const client = new github.GitHub(token);
+
+  const results = [];
+  for (const id of ids) {
+    const result = { pullRequest: "-", id, state: "unknown" };
+    results.push(result);
+    try {
+      const found = await fetchPullRequest(provider, config, client, id);
+      // an environment that doesn't record its pull request may belong to another repository
+      if (!found) {
+        result.outcome = "kept, pull request not recorded";
+        continue;
+      }
+      const { number, pullRequest } = found;
+      result.pullRequest = `#${number}`;
+      result.state = pullRequest ? pullRequest.state : "not found";
+
+      const reason = deletionReason(pullRequest, ttl);
+      if (!reason) {
+        result.outcome = "kept";
+        continue;
+      }
+      console.log(`Deleting environment of pull request ${id} (${reason})...`);
+      const environmentConfig = pullRequestConfig(config, id);
+      await provider.deleteEnvironment(environmentConfig);
+      if (!config.dryRun && pullRequest) {
+        await new PullRequestStatus(environmentConfig, number).deactivate();
+      }
+      result.deleted = true;
+      result.outcome = `${
+        config.dryRun ? "would be deleted" : "deleted"
+      }, ${reason}`;
+    } catch (error) {
+      result.failed = true;
+      result.outcome = `FAILED: ${error.message.split("\n")[0]}`;
+    }
+  }
+
+  console.log(
+    formatTable(
+      [["Pull request", "Id", "State", "Environment"]].concat(
+        results.map(r => [r.pullRequest, r.id, r.state, r.outcome])
+      )
+    )
+  );
+  const deleted = results.filter(r => r.deleted);
+  const failed = results.filter(r => r.failed);
+  console.log(
+    `${config.dryRun ? "Would delete" : "Deleted"} ${deleted.length} of ${
+      results.length
+    } pull request environments`
+  );
+  if (failed.length > 0) {
+    throw new Error(
+      `Unable to clean up the environments of pull requests ${failed
+        .map(r => r.id)
+        .join(", ")}`
+    );
+  }
+}
+
+exports.pullRequestConfig = pullRequestConfig;
+exports.pullRequestTtl = pullRequestTtl;
+exports.recordPullRequest = recordPullRequest;
+exports.cleanupPullRequests = cleanupPullRequests;
@@ -0,0 +1,219 @@
+// Keeps every deployment as a release in a private storage container, so the function app can be
+// pointed back to an earlier one without building it again. A release is stored below the app's
+// name and its commit SHA, so apps sharing a storage account keep their releases apart, and holds
+// what was deployed:
+//
+//   <name>/<sha>/package.zip     function package
+//   <name>/<sha>/assets.zip      blobs uploaded to the assets container, named by their path in it
+//   <name>/<sha>/manifest.json   commit, runtime, base path, routes and the hash of every asset
+//
+// `<name>/releases.json` lists the app's kept releases, newest first, and the one deployed.
+
+const fse = require("fs-extra");
+const { join } = require("path");
+const archiver = require("archiver");
+
+const { appPath, listAssets, uploadChangedAssets } = require("./assets");
+const { extractZip } = require("./zip");
+
+const INDEX = "releases.json";
+
+function releasePath(config, sha) {
+  return join(config.buildOutputPath, "releases", sha);
+}
+
+async function readReleases(provider, config) {
+  const index = await provider.readDocument(config, appPath(config, INDEX));
+  return index || { current: undefined, releases: [] };
+}
+
+function zipAssets(uploads, destination) {
+  return new Promise((resolve, reject) => {
+    const output = fse.createWriteStream(destination);
+    output.on("finish", resolve);
+    output.on("error", reject);
+
+    const archive = archiver("zip");
+    archive.on("error", reject).pipe(output);
+    for (const { source, destinationPath } of uploads) {
+      if (fse.pathExistsSync(source)) {
+        archive.directory(source, destinationPath);
+      }
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * Resolves the `releaseHistory` configuration value, the number of releases kept in storage
+ */
+function releaseHistory(config) {
+  const { releaseHistory } = config;
+  if (releaseHistory === undefined) {
+    return 5;
+  }
+  if (!Number.isInteger(releaseHistory) || releaseHistory < 0) {
+    throw new Error(
+      `Configuration value is invalid: releaseHistory. Expected a whole number of 0 or more, actual '${releaseHistory}'`
+    );
+  }
+  return releaseHistory;
+}
+
+/**
+ * Stores the deployment that just happened as a release and drops releases beyond the history
+ *
+ * @param uploads The asset uploads of the deployment as `{ source, destinationPath }`
+ */
+async function recordRelease(provider, config, uploads) {
+  const { sha, ref, buildOutputPath, functionsVersion, nodeVersion } = config;
+  const history = releaseHistory(config);
+  if (history === 0) {
+    return;
+  }
+
+  console.log(`Recording release '${sha}'...`);
+  const path = releasePath(config, sha);
+  await fse.emptyDir(path);
+  await fse.copy(
+    join(buildOutputPath, "package.zip"),
+    join(path, "package.zip")
+  );
+  await zipAssets(uploads, join(path, "assets.zip"));
+  const release = {
+    sha,
+    ref,
+    createdAt: new Date().toISOString()
+  };
+  await fse.outputJson(
+    join(path, "manifest.json"),
+    Object.assign({}, release, {
+      functionsVersion,
+      nodeVersion,
+      basePath: config.basePath || "",
+      routes: config.routes || [],
+      uploads: uploads.map(upload => upload.destinationPath),
+      assets: (await listAssets(uploads)).reduce(
+        (hashes, asset) => Object.assign(hashes, { [asset.path]: asset.hash }),
+        {}
+      )
+    }),
+    { spaces: 2 }
+  );
+  await provider.uploadRelease(config, path, appPath(config, sha));
+
+  const index = await readReleases(provider, config);
+  const releases = [release].concat(
+    index.releases.filter(other => other.sha !== sha)
+  );
+  for (const expired of releases.slice(history)) {
+    console.log(`Removing release '${expired.sha}'...`);
+    await provider.deleteRelease(config, appPath(config, expired.sha));
+  }
+  await provider.writeDocument(config, appPath(config, INDEX), {
+    current: sha,
+    releases: releases.slice(0, history)
+  });
+}
+
+/**
+ * Finds the release the `rollback` input asks for, `previous` being the one deployed before the
+ * current release
+ */
+function findRelease(index, rollback) {
+  const { current, releases } = index;
+  if (releases.length === 0) {
+    throw new Error("Unable to roll back: no releases have been recorded");
+  }
+
+  if (rollback === "previous") {
+    const position = releases.findIndex(release => release.sha === current);
+    const previous = releases[position + 1];
+    if (!previous) {
+      throw new Error(
+        `Unable to roll back: no release was deployed before '${current}'`
+      );
+    }
+    return previous;
+  }
+
+  const matches = releases.filter(release => release.sha.startsWith(rollback));
+  if (matches.length !== 1) {
+    throw new Error(
+      `Unable to roll back: ${
+        matches.length === 0 ? "no release matches" : "several releases match"
+      } '${rollback}'. Available releases: ${releases
+        .map(release => release.sha)
+        .join(", ")}`
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Downloads the release the `rollback` input asks for and points the configuration at it, so the
+ * smoke tests check its pages rather than those of the current build
+ *
+ * @returns The release as `{ sha, path, manifest, index }`, see `rollback`
+ */
+async function fetchRelease(provider, config) {
+  const index = await readReleases(provider, config);
+  const { sha } = findRelease(index, config.rollback);
+  const path = releasePath(config, sha);
+
+  console.log(`Downloading release '${sha}'...`);
+  await fse.emptyDir(path);
+  await provider.downloadRelease(config, appPath(config, sha), path);
+  const manifest = await fse.readJson(join(path, "manifest.json"));
+
+  config.routes = manifest.routes;
+  // releases recorded before the base path was kept fall back to the root of the app
+  config.basePath = manifest.basePath || "";
+  return { sha, path, manifest, index };
+}
+
+/**
+ * Deploys a release from `fetchRelease` again: its assets first, so the package finds them, then
+ * its runtime and package
+ *
+ * @param target The function app or slot the package is deployed to
+ */
+async function rollback(provider, config, target, release) {
+  const { sha, path, manifest, index } = release;
+  console.log(`Rolling back to release '${sha}'...`);
+
+  const assetsPath = join(path, "assets");
+  await extractZip(join(path, "assets.zip"), assetsPath);
+  console.log("Restoring assets in blob storage...");
+  await uploadChangedAssets(
+    provider,
+    config,
+    manifest.uploads.map(destinationPath => ({
+      source: join(assetsPath, destinationPath),
+      destinationPath
+    }))
+  );
+
+  if (target.slot) {
+    await provider.ensureSlot(target);
+  }
+  console.log(
+    `Setting runtime to Functions ~${manifest.functionsVersion} on Node ~${manifest.nodeVersion}...`
+  );
+  await provider.setAppSettings(target, {
+    FUNCTIONS_EXTENSION_VERSION: `~${manifest.functionsVersion}`,
+    WEBSITE_NODE_DEFAULT_VERSION: `~${manifest.nodeVersion}`
+  });
+  await provider.deployPackage(target, join(path, "package.zip"));
+
+  await provider.writeDocument(
+    config,
+    appPath(config, INDEX),
+    Object.assign({}, index, { current: sha })
+  );
+}
+
+exports.releaseHistory = releaseHistory;
+exports.recordRelease = recordRelease;
+exports.fetchRelease = fetchRelease;
+exports.rollback = rollback;
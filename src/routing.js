@@ -0,0 +1,335 @@
+// Azure Functions and proxies match routes in no particular order, while Next.js always prefers
+// static segments over dynamic ones and dynamic ones over catch-alls. The ordering is encoded into
+// the generated routes as regex constraints that exclude whatever a higher priority page serves.
+
+const STATIC = 0;
+const DYNAMIC = 1;
+const CATCH_ALL = 2;
+const OPTIONAL_CATCH_ALL = 3;
+
+function parseSegments(route) {
+  return route
+    .split("/")
+    .filter(segment => segment)
+    .map(segment => {
+      let match = /^\[\[\.\.\.(.+)\]\]$/.exec(segment);
+      if (match) {
+        return { kind: OPTIONAL_CATCH_ALL, name: match[1] };
+      }
+      match = /^\[\.\.\.(.+)\]$/.exec(segment);
+      if (match) {
+        return { kind: CATCH_ALL, name: match[1] };
+      }
+      match = /^\[(.+)\]$/.exec(segment);
+      if (match) {
+        return { kind: DYNAMIC, name: match[1] };
+      }
+      return { kind: STATIC, value: segment };
+    });
+}
+
+function isCatchAll(segment) {
+  return segment.kind === CATCH_ALL || segment.kind === OPTIONAL_CATCH_ALL;
+}
+
+function sameSegment(a, b) {
+  return a.kind === b.kind && (a.kind !== STATIC || a.value === b.value);
+}
+
+/**
+ * Compares two routes the way the Next.js router orders them
+ */
+function compareRoutes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); ++i) {
+    if (a[i].kind !== b[i].kind) {
+      return a[i].kind - b[i].kind;
+    }
+    if (a[i].kind === STATIC && a[i].value !== b[i].value) {
+      return a[i].value < b[i].value ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Indicates whether there is any URL both routes match
+ */
+function overlaps(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    const rest = a.length === 0 ? b : a;
+    return (
+      rest.length === 0 ||
+      (rest.length === 1 && rest[0].kind === OPTIONAL_CATCH_ALL)
+    );
+  }
+  if (isCatchAll(a[0]) || isCatchAll(b[0])) {
+    // catch-alls are always the last segment
+    return true;
+  }
+  if (a[0].kind === STATIC && b[0].kind === STATIC && a[0].value !== b[0].value) {
+    return false;
+  }
+  return overlaps(a.slice(1), b.slice(1));
+}
+
+/**
+ * Indicates whether every URL matched by `inner` is also matched by `outer`
+ */
+function covers(outer, inner) {
+  if (outer.length === 0 || inner.length === 0) {
+    return (
+      outer.length === inner.length ||
+      (outer.length === 1 && outer[0].kind === OPTIONAL_CATCH_ALL)
+    );
+  }
+  if (outer[0].kind === OPTIONAL_CATCH_ALL) {
+    return true;
+  }
+  if (outer[0].kind === CATCH_ALL) {
+    return inner[0].kind !== OPTIONAL_CATCH_ALL;
+  }
+  if (isCatchAll(inner[0])) {
+    return false;
+  }
+  if (
+    outer[0].kind === STATIC &&
+    (inner[0].kind !== STATIC || inner[0].value !== outer[0].value)
+  ) {
+    return false;
+  }
+  return covers(outer.slice(1), inner.slice(1));
+}
+
+/**
+ * Escapes text to match it literally. Braces are escaped too, templates double them when the
+ * pattern is placed in a route.
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a regex matching the part of a path the given segments match
+ */
+function segmentsPattern(segments) {
+  return segments.reduce((pattern, segment, i) => {
+    const separator = i === 0 ? "" : "/";
+    switch (segment.kind) {
+      case STATIC:
+        return `${pattern}${separator}${escapeRegex(segment.value)}`;
+      case DYNAMIC:
+        return `${pattern}${separator}[^/]+`;
+      case CATCH_ALL:
+        return `${pattern}${separator}.+`;
+      default:
+        return i === 0 ? ".*" : `${pattern}(?:/.+)?`;
+    }
+  }, "");
+}
+
+/**
+ * Builds an anchored regex for the paths a route serves, capturing its parameters in order
+ *
+ * @param route Route in Next.js syntax, e.g., `blog/[slug]`
+ * @param suffix Literal text the path ends with, e.g., `.json` for data routes
+ * @returns The pattern and the names of the captured parameters
+ */
+function routePattern(route, suffix = "") {
+  const segments = parseSegments(route);
+  const pattern = segments.reduce((pattern, segment, i) => {
+    const separator = i === 0 ? "" : "/";
+    switch (segment.kind) {
+      case STATIC:
+        return `${pattern}${separator}${escapeRegex(segment.value)}`;
+      case DYNAMIC:
+        return `${pattern}${separator}([^/]+?)`;
+      case CATCH_ALL:
+        return `${pattern}${separator}(.+?)`;
+      default:
+        return i === 0 ? "(.*?)" : `${pattern}(?:/(.+?))?`;
+    }
+  }, "");
+
+  return {
+    pattern: `^${pattern}${escapeRegex(suffix)}/?$`,
+    parameters: segments.filter(s => s.kind !== STATIC).map(s => s.name)
+  };
+}
+
+/**
+ * Checks the pages for routes Next.js itself would reject
+ */
+function validateRoutes(routes) {
+  const errors = [];
+  const seen = {};
+  const slugNames = {};
+
+  for (const { page, segments } of routes) {
+    const key = segments
+      .map(s => (s.kind === STATIC ? s.value : `[${s.kind}]`))
+      .join("/");
+    if (seen[key]) {
+      errors.push(
+        `Pages '${seen[key].path}' and '${page.path}' resolve to the same route '/${page.route}'.`
+      );
+    } else {
+      seen[key] = page;
+    }
+
+    const names = [];
+    segments.forEach((segment, i) => {
+      if (segment.kind === STATIC) {
+        return;
+      }
+      if (isCatchAll(segment) && i !== segments.length - 1) {
+        errors.push(
+          `Catch-all must be the last part of the route in '${page.path}'.`
+        );
+      }
+      if (names.includes(segment.name)) {
+        errors.push(
+          `Page '${page.path}' uses the parameter '${segment.name}' more than once.`
+        );
+      }
+      names.push(segment.name);
+
+      const parent = segments
+        .slice(0, i)
+        .map(s => (s.kind === STATIC ? s.value : `[${s.kind}]`))
+        .join("/");
+      const level = slugNames[parent] || (slugNames[parent] = {});
+      const dynamicKind = isCatchAll(segment) ? CATCH_ALL : DYNAMIC;
+      const existing = level[dynamicKind];
+      if (existing && existing.name !== segment.name) {
+        errors.push(
+          `Pages '${existing.page.path}' and '${page.path}' use different parameter names for the same dynamic path ('${existing.name}' !== '${segment.name}').`
+        );
+      } else if (existing && existing.kind !== segment.kind) {
+        errors.push(
+          `Pages '${existing.page.path}' and '${page.path}' define both a required and an optional catch-all route at the same level.`
+        );
+      } else if (!existing) {
+        level[dynamicKind] = { name: segment.name, kind: segment.kind, page };
+      }
+    });
+  }
+
+  // an optional catch-all also matches its parent route
+  for (const { page, segments } of routes) {
+    const last = segments[segments.length - 1];
+    if (last && last.kind === OPTIONAL_CATCH_ALL) {
+      const parent = routes.find(
+        other =>
+          other.segments.length === segments.length - 1 &&
+          other.segments.every((s, i) => sameSegment(s, segments[i]))
+      );
+      if (parent) {
+        errors.push(
+          `Page '${parent.page.path}' has the same specificity as the optional catch-all page '${page.path}'.`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Sorts the routable pages by Next.js priority and constrains each page's route so that it does not
+ * match URLs a higher priority page is responsible for.
+ *
+ * Throws if the pages contain routes Next.js would reject.
+ *
+ * @param pages NextPage instances to route
+ * @returns The pages in priority order and warnings for overlaps that can't be expressed in Azure routes
+ */
+function applyRoutePrecedence(pages) {
+  const routes = pages
+    .filter(page => !page.isSpecial)
+    .map(page => ({ page, segments: parseSegments(page.route) }))
+    .sort((a, b) => compareRoutes(a.segments, b.segments));
+
+  const errors = validateRoutes(routes);
+  if (errors.length > 0) {
+    throw new Error(`Conflicting routes found:\n${errors.join("\n")}`);
+  }
+
+  const warnings = [];
+  routes.forEach(({ page, segments }, index) => {
+    const exclusions = {};
+
+    for (const higher of routes.slice(0, index)) {
+      if (!overlaps(higher.segments, segments)) {
+        continue;
+      }
+
+      const i = segments.findIndex(
+        (segment, j) =>
+          !higher.segments[j] || !sameSegment(segment, higher.segments[j])
+      );
+      const segment = segments[i];
+      const excluded = (exclusions[segment.name] =
+        exclusions[segment.name] || []);
+
+      if (isCatchAll(segment)) {
+        // the same constraint guards the page's data route, where the path ends in `.json`
+        excluded.push(
+          `${segmentsPattern(higher.segments.slice(i))}(?:\\.json)?`
+        );
+      } else {
+        // a single segment can only be told apart by its own value, which is only exact when
+        // the higher priority page serves everything else this page would match below it
+        excluded.push(escapeRegex(higher.segments[i].value));
+        if (!covers(higher.segments.slice(i + 1), segments.slice(i + 1))) {
+          warnings.push(
+            `Route '/${page.route}' overlaps with '/${higher.page.route}'. URLs under '/${higher.page.route
+              .split("/")
+              .slice(0, i + 1)
+              .join("/")}' that '${higher.page.path}' does not handle will not be served by '${page.path}'.`
+          );
+        }
+      }
+    }
+
+    // a wildcard also matches the bare parent route, which a required catch-all doesn't serve
+    const required = segments
+      .filter(segment => segment.kind === CATCH_ALL)
+      .map(segment => segment.name);
+    page.routeConstraints = Object.keys(exclusions)
+      .concat(required.filter(name => !exclusions[name]))
+      .reduce((constraints, name) => {
+        const value = required.includes(name) ? ".+" : ".*";
+        const lookaheads = (exclusions[name] || [])
+          .map(pattern => `(?!(?:${pattern})$)`)
+          .join("");
+        constraints[name] = lookaheads ? `^${lookaheads}${value}$` : value;
+        return constraints;
+      }, {});
+  });
+
+  return { pages: routes.map(r => r.page), warnings };
+}
+
+/**
+ * Builds the constraint for a catch-all fallback route that only matches URLs no page handles
+ *
+ * @param pages NextPage instances that are routed
+ * @param reservedPatterns Patterns for paths served by something other than a page, e.g., assets
+ * @returns The constraint, or `null` if every URL is already handled by a page
+ */
+function fallbackConstraint(pages, reservedPatterns) {
+  const patterns = pages
+    .filter(page => !page.isSpecial)
+    .map(page => segmentsPattern(parseSegments(page.route)))
+    .concat(reservedPatterns);
+
+  if (patterns.includes(".*")) {
+    return null;
+  }
+  return `^${patterns.map(pattern => `(?!(?:${pattern})$)`).join("")}.*$`;
+}
+
+exports.applyRoutePrecedence = applyRoutePrecedence;
+exports.fallbackConstraint = fallbackConstraint;
+exports.routePattern = routePattern;
+exports.escapeRegex = escapeRegex;
@@ -0,0 +1,306 @@
+// Copied into every function package. Azure's request and response objects only resemble Node's,
+// so pages and API routes get a Node `IncomingMessage` for the request and a response that behaves
+// like a `ServerResponse`, which is mapped back onto `context.res` once the page has finished.
+
+const { IncomingMessage } = require("http");
+const { Writable } = require("stream");
+const url = require("url");
+
+/**
+ * Reads the body of an Azure request as a buffer
+ */
+function requestBody(req) {
+  let body = req.bufferBody;
+  if (body === undefined) {
+    body = req.rawBody === undefined ? req.body : req.rawBody;
+  }
+  if (body === undefined || body === null) {
+    return Buffer.alloc(0);
+  }
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+  if (typeof body !== "string") {
+    body = JSON.stringify(body);
+  }
+  return Buffer.from(body);
+}
+
+/**
+ * Creates a Node request from an Azure request. Azure's parameters and query are kept on it, as
+ * pages read both from the request.
+ */
+function createRequest(req) {
+  const body = requestBody(req);
+  const target = url.parse(req.originalUrl);
+  const headers = Object.keys(req.headers || {}).reduce((headers, name) => {
+    headers[name.toLowerCase()] = req.headers[name];
+    return headers;
+  }, {});
+  if (body.length > 0 || !["GET", "HEAD"].includes(req.method)) {
+    headers["content-length"] = String(body.length);
+  }
+
+  const forwardedFor = (headers["x-forwarded-for"] || "").split(",")[0];
+  const socket = {
+    encrypted: target.protocol === "https:",
+    remoteAddress: forwardedFor.replace(/:\d+$/, "").trim() || undefined,
+    readable: false,
+    destroy() {},
+    on() {
+      return this;
+    },
+    removeListener() {
+      return this;
+    }
+  };
+
+  const request = new IncomingMessage(socket);
+  request.method = req.method;
+  request.url = target.path;
+  request.headers = headers;
+  request.rawHeaders = Object.keys(headers).reduce(
+    (raw, name) => raw.concat(name, String(headers[name])),
+    []
+  );
+  request.httpVersion = "1.1";
+  request.httpVersionMajor = 1;
+  request.httpVersionMinor = 1;
+  request.params = Object.assign({}, req.params);
+  request.query = Object.assign({}, req.query);
+  request.complete = true;
+  request.push(body);
+  request.push(null);
+  return request;
+}
+
+function headerValues(value) {
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Parses a `Set-Cookie` header into the cookie format of Azure responses, which is the only way
+ * to send more than one cookie
+ */
+function parseCookie(header) {
+  const [pair, ...attributes] = header.split(";");
+  const separator = pair.indexOf("=");
+  const cookie = {
+    name: pair.substring(0, separator).trim(),
+    value: pair.substring(separator + 1).trim()
+  };
+
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split("=");
+    const value = rest.join("=").trim();
+    switch (key.trim().toLowerCase()) {
+      case "domain":
+        cookie.domain = value;
+        break;
+      case "path":
+        cookie.path = value;
+        break;
+      case "expires":
+        cookie.expires = new Date(value);
+        break;
+      case "max-age":
+        cookie.maxAge = Number(value);
+        break;
+      case "secure":
+        cookie.secure = true;
+        break;
+      case "httponly":
+        cookie.httpOnly = true;
+        break;
+      case "samesite": {
+        const sameSite = value.toLowerCase();
+        cookie.sameSite =
+          sameSite === "strict"
+            ? "Strict"
+            : sameSite === "none"
+            ? "None"
+            : "Lax";
+        break;
+      }
+    }
+  }
+  return cookie;
+}
+
+/**
+ * Maps a status, Node style headers and a body onto an Azure response
+ */
+function azureResponse(status, headers, body) {
+  const result = { status, headers: {}, cookies: [], body, isRaw: true };
+  for (const name of Object.keys(headers)) {
+    const value = headers[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (name.toLowerCase() === "set-cookie") {
+      result.cookies = result.cookies.concat(
+        headerValues(value).map(parseCookie)
+      );
+    } else {
+      result.headers[name] = headerValues(value).join(", ");
+    }
+  }
+  return result;
+}
+
+/**
+ * Collects what a page writes using the `ServerResponse` API
+ */
+class Response extends Writable {
+  constructor(req) {
+    super();
+    this.req = req;
+    this.statusCode = 200;
+    this.statusMessage = undefined;
+    this.headersSent = false;
+    this.sendDate = true;
+    this._headers = {};
+    this._headerNames = {};
+    this.finished = false;
+    this._chunks = [];
+    this._flushed = false;
+    this.once("finish", () => {
+      this._flushed = true;
+    });
+  }
+
+  setHeader(name, value) {
+    if (this.headersSent) {
+      throw new Error("Cannot set headers after they are sent to the client");
+    }
+    const key = name.toLowerCase();
+    this._headers[key] = value;
+    this._headerNames[key] = name;
+    return this;
+  }
+
+  getHeader(name) {
+    return this._headers[name.toLowerCase()];
+  }
+
+  getHeaders() {
+    return Object.assign({}, this._headers);
+  }
+
+  getHeaderNames() {
+    return Object.keys(this._headers);
+  }
+
+  hasHeader(name) {
+    return name.toLowerCase() in this._headers;
+  }
+
+  removeHeader(name) {
+    if (this.headersSent) {
+      throw new Error("Cannot remove headers after they are sent to the client");
+    }
+    const key = name.toLowerCase();
+    delete this._headers[key];
+    delete this._headerNames[key];
+  }
+
+  writeHead(statusCode, statusMessage, headers) {
+    if (typeof statusMessage !== "string") {
+      headers = statusMessage;
+      statusMessage = undefined;
+    }
+    this.statusCode = statusCode;
+    if (statusMessage) {
+      this.statusMessage = statusMessage;
+    }
+    if (Array.isArray(headers)) {
+      for (let i = 0; i < headers.length; i += 2) {
+        this.setHeader(headers[i], headers[i + 1]);
+      }
+    } else if (headers) {
+      Object.keys(headers).forEach(name => this.setHeader(name, headers[name]));
+    }
+    this.headersSent = true;
+    return this;
+  }
+
+  flushHeaders() {
+    this.headersSent = true;
+  }
+
+  setTimeout() {
+    return this;
+  }
+
+  addTrailers() {}
+
+  writeContinue() {}
+
+  _write(chunk, encoding, callback) {
+    this.headersSent = true;
+    this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    callback();
+  }
+
+  end(chunk, encoding, callback) {
+    this.headersSent = true;
+    this.finished = true;
+    return super.end(chunk, encoding, callback);
+  }
+
+  /**
+   * Resolves once the page has ended the response. The promise of the page's handler settles it
+   * too, so an invocation never waits for the host to time it out: a rejection fails it, and a
+   * response the handler leaves open once it resolves is ended as a 500.
+   *
+   * @param handled Promise returned by the handler, e.g., by `render`
+   */
+  done(handled) {
+    const finished = this._flushed
+      ? Promise.resolve()
+      : new Promise((resolve, reject) => {
+          this.once("finish", resolve);
+          this.once("error", reject);
+        });
+    if (!handled) {
+      return finished;
+    }
+    return Promise.race([
+      finished,
+      Promise.resolve(handled).then(() => {
+        if (!this.finished) {
+          console.warn(
+            `${this.req.method} ${this.req.url} resolved without ending the response`
+          );
+          this.statusCode = 500;
+          this.end();
+        }
+        return finished;
+      })
+    ]);
+  }
+
+  /**
+   * Maps the response onto the shape Azure expects in `context.res`
+   */
+  toAzure() {
+    const headers = Object.keys(this._headers).reduce((headers, key) => {
+      headers[this._headerNames[key]] = this._headers[key];
+      return headers;
+    }, {});
+    return azureResponse(this.statusCode, headers, Buffer.concat(this._chunks));
+  }
+}
+
+/**
+ * Creates the Node request and response for an invocation
+ */
+function adapt(req) {
+  const request = createRequest(req);
+  return { req: request, res: new Response(request) };
+}
+
+exports.adapt = adapt;
+exports.createRequest = createRequest;
+exports.azureResponse = azureResponse;
+exports.Response = Response;
@@ -0,0 +1,177 @@
+// Validates configuration against publish-next.schema.json. Only the keywords the schema uses are
+// supported: `$ref` to the same document, `allOf`, `type`, `enum`, `pattern`, `minLength`,
+// `minimum`, `exclusiveMinimum`, `maximum`, `properties`, `required`, `additionalProperties`,
+// `unevaluatedProperties` and `items`.
+
+const SCHEMA = require("../publish-next.schema.json");
+
+function resolveRef(ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Unable to resolve schema reference '${ref}'`);
+  }
+  return ref
+    .substring(2)
+    .split("/")
+    .reduce((schema, key) => schema[key], SCHEMA);
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describe(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+// the closest known name within two edits, to point out typos
+function suggest(name, known) {
+  const distance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; ++i) {
+      const current = [i];
+      for (let j = 1; j <= b.length; ++j) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  };
+  const closest = known
+    .map(other => ({ other, distance: distance(name, other) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return closest && closest.distance <= 2 ? closest.other : undefined;
+}
+
+/**
+ * Validates a value against a schema, collecting a message for every problem
+ *
+ * @returns The names of the properties the schema and its `allOf` schemas know
+ */
+function check(value, schema, path, errors) {
+  if (schema.$ref) {
+    return check(value, resolveRef(schema.$ref), path, errors);
+  }
+
+  const invalid = expected =>
+    errors.push(
+      `Configuration value is invalid: ${path ||
+        "configuration"}. Expected ${expected}, actual '${describe(value)}'`
+    );
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    const names = types.join(" or ");
+    invalid(`${/^[aeiou]/.test(names) ? "an" : "a"} ${names}`);
+    return [];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    // options like 3 and "3" read the same
+    const options = schema.enum
+      .map(String)
+      .filter((option, i, all) => all.indexOf(option) === i);
+    invalid(`one of ${options.map(option => `'${option}'`).join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      invalid(`a value matching ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      invalid(`at least ${schema.minLength} characters`);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      invalid(`${schema.minimum} or more`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      invalid(`more than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      invalid(`${schema.maximum} or less`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      check(item, schema.items, childPath(path, i), errors)
+    );
+  }
+
+  let known = Object.keys(schema.properties || {});
+  for (const subschema of schema.allOf || []) {
+    known = known.concat(check(value, subschema, path, errors));
+  }
+  if (typeOf(value) !== "object") {
+    return known;
+  }
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push(`Configuration value is missing: ${childPath(path, key)}`);
+    }
+  }
+  for (const key of Object.keys(value)) {
+    if (schema.properties && schema.properties[key]) {
+      check(value[key], schema.properties[key], childPath(path, key), errors);
+    } else if (typeof schema.additionalProperties === "object") {
+      check(
+        value[key],
+        schema.additionalProperties,
+        childPath(path, key),
+        errors
+      );
+    } else if (
+      schema.additionalProperties === false ||
+      (schema.unevaluatedProperties === false && !known.includes(key))
+    ) {
+      const suggestion = suggest(key, known);
+      errors.push(
+        `Configuration value is invalid: ${childPath(
+          path,
+          key
+        )}. Unknown setting${suggestion ? `, did you mean '${suggestion}'?` : ""}`
+      );
+    }
+  }
+  return known;
+}
+
+/**
+ * Validates a value against the schema of publish-next.schema.json or one of its definitions
+ *
+ * @param ref Reference of the schema to validate against, e.g., `#/$defs/deployment`
+ * @returns Messages describing every problem, pointing at the path of the value
+ */
+function validate(value, ref = "#") {
+  const errors = [];
+  check(value, ref === "#" ? SCHEMA : resolveRef(ref), "", errors);
+  return errors;
+}
+
+exports.validate = validate;
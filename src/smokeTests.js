@@ -0,0 +1,171 @@
+// Requests the pages of the deployed app to make sure it actually serves them. A freshly deployed
+// function app needs a while to warm up, so the first check is retried before it counts as failed.
+// The other checks then get a single retry, so a broken app fails in minutes rather than hours.
+
+const http = require("http");
+const https = require("https");
+
+const { formatTable } = require("./table");
+
+const DEFAULTS = {
+  paths: [],
+  attempts: 6,
+  interval: 10,
+  timeout: 60
+};
+
+// attempts per check after the first one
+const WARM_ATTEMPTS = 2;
+
+/**
+ * Resolves the smoke test settings from the `smokeTests` configuration value
+ *
+ * @returns The settings, or `undefined` if smoke tests are turned off
+ */
+function smokeTestSettings(config) {
+  if (config.smokeTests === false) {
+    return undefined;
+  }
+  const settings = Object.assign(
+    {},
+    DEFAULTS,
+    config.smokeTests === true ? {} : config.smokeTests
+  );
+
+  // paths from the configuration may carry their own expectations
+  const checks = (config.routes || [])
+    .map(path => ({ path }))
+    .concat(
+      settings.paths.map(check =>
+        typeof check === "string" ? { path: check } : check
+      )
+    );
+  for (const check of checks) {
+    if (!check.path || !check.path.startsWith("/")) {
+      throw new Error(
+        `Configuration value is invalid: smokeTests.paths. Paths must start with '/', actual '${check.path}'`
+      );
+    }
+  }
+
+  // a path from the configuration replaces the default check of the same page
+  settings.checks = checks.filter(
+    (check, i) => !checks.slice(i + 1).some(other => other.path === check.path)
+  );
+  return settings;
+}
+
+function request(target, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = target.startsWith("https:") ? https : http;
+    const req = client.get(target, response => {
+      const chunks = [];
+      response.on("data", chunk => chunks.push(chunk));
+      response.on("end", () =>
+        resolve({
+          status: response.statusCode,
+          body: Buffer.concat(chunks).toString("utf-8")
+        })
+      );
+      response.on("error", reject);
+    });
+    req.setTimeout(timeout * 1000, () => {
+      req.abort();
+      reject(new Error(`No response within ${timeout}s`));
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Checks a response against the expectations of a check
+ *
+ * @returns Why the response doesn't meet them, or `undefined` if it does
+ */
+function verify(check, response) {
+  if (check.status !== undefined) {
+    if (response.status !== check.status) {
+      return `expected status ${check.status}`;
+    }
+  } else if (response.status >= 400) {
+    return "expected a successful status";
+  }
+  if (check.contains && !response.body.includes(check.contains)) {
+    return `expected the response to contain '${check.contains}'`;
+  }
+  return undefined;
+}
+
+async function runCheck(siteUrl, check, settings, attempts) {
+  const target = `${siteUrl.replace(/\/$/, "")}${check.path}`;
+  let result;
+  for (let attempt = 1; attempt <= attempts; ++attempt) {
+    try {
+      const response = await request(target, settings.timeout);
+      const problem = verify(check, response);
+      result = { path: check.path, status: response.status, attempt, problem };
+    } catch (error) {
+      result = { path: check.path, attempt, problem: error.message };
+    }
+    if (!result.problem) {
+      break;
+    }
+    if (attempt < attempts) {
+      await new Promise(resolve =>
+        setTimeout(resolve, settings.interval * 1000)
+      );
+    }
+  }
+  return result;
+}
+
+function formatReport(results) {
+  return formatTable(
+    [["Path", "Status", "Attempts", "Result"]].concat(
+      results.map(r => [
+        r.path,
+        r.status === undefined ? "-" : String(r.status),
+        String(r.attempt),
+        r.problem ? `FAILED: ${r.problem}` : "OK"
+      ])
+    )
+  );
+}
+
+/**
+ * Requests every page of the deployed app and fails if any of them isn't served as expected
+ *
+ * @param siteUrl Url of the app, including the base path
+ * @returns The result of every check
+ */
+async function runSmokeTests(config, siteUrl) {
+  const settings = smokeTestSettings(config);
+  if (!settings || settings.checks.length === 0) {
+    return [];
+  }
+
+  console.log(`Running smoke tests against ${siteUrl}...`);
+  const results = [];
+  // one at a time, so only the first check pays for the cold start
+  for (const check of settings.checks) {
+    const attempts =
+      results.length === 0
+        ? settings.attempts
+        : Math.min(settings.attempts, WARM_ATTEMPTS);
+    results.push(await runCheck(siteUrl, check, settings, attempts));
+  }
+
+  console.log(formatReport(results));
+  const failed = results.filter(r => r.problem);
+  if (failed.length > 0) {
+    throw new Error(
+      `Smoke tests failed for ${failed.length} of ${results.length} paths: ${failed
+        .map(r => r.path)
+        .join(", ")}`
+    );
+  }
+  return results;
+}
+
+exports.smokeTestSettings = smokeTestSettings;
+exports.runSmokeTests = runSmokeTests;
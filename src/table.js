@@ -0,0 +1,17 @@
+/**
+ * Lays out rows as a plain text table, the first row being the header
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map(row => row[i].length))
+  );
+  return rows
+    .map(row =>
+      row
+        .map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i])))
+        .join("  ")
+    )
+    .join("\n");
+}
+
+exports.formatTable = formatTable;
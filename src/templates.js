@@ -1,80 +1,482 @@
-"use strict";
-var __assign = (this && this.__assign) || function () {
-    __assign = Object.assign || function(t) {
-        for (var s, i = 1, n = arguments.length; i < n; i++) {
-            s = arguments[i];
-            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
-                t[p] = s[p];
-        }
-        return t;
-    };
-    return __assign.apply(this, arguments);
-};
-Object.defineProperty(exports, "__esModule", { value: true });
-var url_1 = require("url");
-function handler(pageName) {
-    return "const page = require(\"./" + pageName + "\");\n\nmodule.exports = async function (context) {\n    await page.render(context.bindings.req, context.res);\n};";
-}
-exports.handler = handler;
-function functionJson(page) {
-    return JSON.stringify({
-        bindings: [
-            {
-                authLevel: "anonymous",
-                type: "httpTrigger",
-                direction: "in",
-                name: "req",
-                methods: ["get"],
-                route: page.processedRoute
-            },
-            {
-                type: "http",
-                direction: "out",
-                name: "res"
-            }
-        ]
-    });
-}
-exports.functionJson = functionJson;
-function hostJson() {
-    return JSON.stringify({
-        version: "2.0",
-        extensions: {
-            http: {
-                routePrefix: ""
-            }
-        }
-    });
-}
-exports.hostJson = hostJson;
-function proxiesJson(assetsUrl, pages) {
-    var pageProxies = {};
-    // Generate proxies for static pages
-    for (var _i = 0, _a = pages.filter(function (p) { return p.isStatic && !p.isSpecial; }); _i < _a.length; _i++) {
-        var p = _a[_i];
-        pageProxies["proxy_" + p.identifier] = {
-            matchCondition: {
-                methods: ["GET"],
-                route: p.route
-            },
-            backendUri: url_1.resolve(assetsUrl, "_next/pages/" + p.targetPageFileName)
-        };
-    }
-    // Add proxies for public assets
-    return JSON.stringify({
-        proxies: __assign({ page_assets: {
-                matchCondition: {
-                    methods: ["GET"],
-                    route: "_next/{*asset}"
-                },
-                backendUri: assetsUrl + "_next/{asset}"
-            }, static_assets: {
-                matchCondition: {
-                    methods: ["GET"],
-                    route: "{asset}.{ext}"
-                },
-                backendUri: assetsUrl + "public/{asset}.{ext}"
-            } }, pageProxies)
-    });
-}
-exports.proxiesJson = proxiesJson;
\ No newline at end of file
+"use strict";
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+var url_1 = require("url");
+var nextRules_1 = require("./nextRules");
+/**
+ * Generates code that sets the headers from next.config.js whose source matches the request `req`
+ */
+function setHeaders(headerRules, response) {
+    if (headerRules.length === 0) {
+        return "";
+    }
+    return "    const pathname = require(\"url\").parse(req.url).pathname;\n" +
+        "    for (const rule of " + JSON.stringify(headerRules.map(function (r) { return { pattern: r.pattern, headers: r.headers }; })) + ") {\n" +
+        "        if (new RegExp(rule.pattern, \"i\").test(pathname)) {\n" +
+        "            Object.keys(rule.headers).forEach(name => " + response + ".setHeader(name, rule.headers[name]));\n" +
+        "        }\n" +
+        "    }\n";
+}
+function handler(pageName, errorPageName, headerRules) {
+    if (headerRules === void 0) { headerRules = []; }
+    var imports = "const { adapt } = require(\"./adapter\");\n" +
+        "const page = require(\"./" + pageName + "\");\n";
+    var render = "    await res.done(page.render(req, res));\n";
+    if (errorPageName) {
+        // Render the app's error page rather than letting Azure answer with a bare 500
+        imports += "const errorPage = require(\"./" + errorPageName + "\");\n";
+        render = "    try {\n" +
+            "        await res.done(page.render(req, res));\n" +
+            "    } catch (err) {\n" +
+            "        context.log.error(err);\n" +
+            "        if (res.headersSent) {\n" +
+            "            throw err;\n" +
+            "        }\n" +
+            "        res.statusCode = 500;\n" +
+            "        await res.done(errorPage.render(req, res));\n" +
+            "    }\n";
+    }
+    return imports + "\nmodule.exports = async function (context) {\n" +
+        "    const { req, res } = adapt(context.bindings.req);\n" +
+        setHeaders(headerRules, "res") + render +
+        "    context.res = res.toAzure();\n" +
+        "};";
+}
+exports.handler = handler;
+function apiHandler(pageName, headerRules) {
+    if (headerRules === void 0) { headerRules = []; }
+    return "const { adapt } = require(\"./adapter\");\n" +
+        "const page = require(\"./" + pageName + "\");\n\n" +
+        "module.exports = async function (context) {\n" +
+        "    // Next parses the body and query itself, it gets a Node request like `next start` would\n" +
+        "    const { req, res } = adapt(context.bindings.req);\n" +
+        setHeaders(headerRules, "res") +
+        "    await res.done((page.default || page)(req, res));\n" +
+        "    context.res = res.toAzure();\n" +
+        "};";
+}
+exports.apiHandler = apiHandler;
+function notFoundHandler(pageName, isStatic) {
+    if (isStatic) {
+        return "const { readFileSync } = require(\"fs\");\n" +
+            "const { join } = require(\"path\");\n\n" +
+            "const body = readFileSync(join(__dirname, \"" + pageName + "\"));\n\n" +
+            "module.exports = async function (context) {\n" +
+            "    context.res = {\n" +
+            "        status: 404,\n" +
+            "        headers: { \"Content-Type\": \"text/html; charset=utf-8\" },\n" +
+            "        body,\n" +
+            "        isRaw: true\n" +
+            "    };\n" +
+            "};";
+    }
+    return "const { adapt } = require(\"./adapter\");\n" +
+        "const page = require(\"./" + pageName + "\");\n\n" +
+        "module.exports = async function (context) {\n" +
+        "    const { req, res } = adapt(context.bindings.req);\n" +
+        "    res.statusCode = 404;\n" +
+        "    await res.done(page.render(req, res));\n" +
+        "    context.res = res.toAzure();\n" +
+        "};";
+}
+exports.notFoundHandler = notFoundHandler;
+/**
+ * Generates the entry point of the router function, which serves every server-rendered page
+ *
+ * @param routes Routes in priority order as `{ pattern, parameters, handler }`, the handler being
+ * the module that serves the route relative to the function folder
+ * @param fallbackHandler Module serving unmatched paths, if any
+ */
+function routerHandler(routes, fallbackHandler) {
+    return "const routes = " + JSON.stringify(routes, null, 4) + ".map(route => Object.assign({ regex: new RegExp(route.pattern, \"i\") }, route));\n" +
+        "const handlers = {};\n\n" +
+        "// Page bundles are only loaded once a request needs them\n" +
+        "function load(handler) {\n" +
+        "    return handlers[handler] || (handlers[handler] = require(handler));\n" +
+        "}\n\n" +
+        "module.exports = async function (context, req) {\n" +
+        "    const path = req.params.path || \"\";\n" +
+        "    for (const route of routes) {\n" +
+        "        const match = route.regex.exec(path);\n" +
+        "        if (match) {\n" +
+        "            // Hand the page the parameters Azure would have bound for its own function\n" +
+        "            req.params = route.parameters.reduce((params, name, i) => {\n" +
+        "                if (match[i + 1] !== undefined) {\n" +
+        "                    params[name] = match[i + 1];\n" +
+        "                }\n" +
+        "                return params;\n" +
+        "            }, {});\n" +
+        "            return load(route.handler)(context, req);\n" +
+        "        }\n" +
+        "    }\n" +
+        (fallbackHandler
+            ? "    return load(" + JSON.stringify(fallbackHandler) + ")(context, req);\n"
+            : "    context.res = { status: 404 };\n") +
+        "};";
+}
+exports.routerHandler = routerHandler;
+function standaloneHandler(serverPath) {
+    return "const { fork } = require(\"child_process\");\n" +
+        "const http = require(\"http\");\n" +
+        "const net = require(\"net\");\n" +
+        "const { join } = require(\"path\");\n" +
+        "const url = require(\"url\");\n" +
+        "const { azureResponse } = require(\"./adapter\");\n\n" +
+        "let server;\n\n" +
+        "// The standalone build brings its own server, it runs alongside the function host on a local port\n" +
+        "function start() {\n" +
+        "    if (!server) {\n" +
+        "        server = new Promise((resolve, reject) => {\n" +
+        "            const probe = net.createServer();\n" +
+        "            probe.listen(0, \"127.0.0.1\", () => {\n" +
+        "                const { port } = probe.address();\n" +
+        "                probe.close(() => {\n" +
+        "                    const child = fork(join(__dirname, " + JSON.stringify(serverPath) + "), [], {\n" +
+        "                        env: Object.assign({}, process.env, { PORT: String(port), HOSTNAME: \"127.0.0.1\" })\n" +
+        "                    });\n" +
+        "                    child.on(\"exit\", () => {\n" +
+        "                        server = undefined;\n" +
+        "                    });\n" +
+        "                    const waitUntilListening = attempt => {\n" +
+        "                        const socket = net.connect(port, \"127.0.0.1\");\n" +
+        "                        socket.on(\"connect\", () => {\n" +
+        "                            socket.end();\n" +
+        "                            resolve(port);\n" +
+        "                        });\n" +
+        "                        socket.on(\"error\", () => {\n" +
+        "                            if (attempt < 300) {\n" +
+        "                                setTimeout(() => waitUntilListening(attempt + 1), 100);\n" +
+        "                            } else {\n" +
+        "                                child.kill();\n" +
+        "                                reject(new Error(\"Next.js server did not start\"));\n" +
+        "                            }\n" +
+        "                        });\n" +
+        "                    };\n" +
+        "                    waitUntilListening(0);\n" +
+        "                });\n" +
+        "            });\n" +
+        "        });\n" +
+        "        // Try again on the next request if the server didn't come up\n" +
+        "        server.catch(() => {\n" +
+        "            server = undefined;\n" +
+        "        });\n" +
+        "    }\n" +
+        "    return server;\n" +
+        "}\n\n" +
+        "module.exports = async function (context, req) {\n" +
+        "    const port = await start();\n" +
+        "    const target = url.parse(req.originalUrl);\n" +
+        "    let body = req.rawBody === undefined ? req.body : req.rawBody;\n" +
+        "    if (body === undefined || body === null) {\n" +
+        "        body = \"\";\n" +
+        "    } else if (!Buffer.isBuffer(body) && typeof body !== \"string\") {\n" +
+        "        body = JSON.stringify(body);\n" +
+        "    }\n" +
+        "    body = Buffer.from(body);\n\n" +
+        "    context.res = await new Promise((resolve, reject) => {\n" +
+        "        const headers = Object.assign({}, req.headers, {\n" +
+        "            host: target.host,\n" +
+        "            \"x-forwarded-host\": target.host,\n" +
+        "            \"x-forwarded-proto\": target.protocol.replace(\":\", \"\"),\n" +
+        "            \"content-length\": String(body.length)\n" +
+        "        });\n" +
+        "        const request = http.request({ host: \"127.0.0.1\", port, method: req.method, path: target.path, headers }, response => {\n" +
+        "            const chunks = [];\n" +
+        "            response.on(\"data\", chunk => chunks.push(chunk));\n" +
+        "            response.on(\"error\", reject);\n" +
+        "            // Several cookies can only be sent through Azure's cookie list\n" +
+        "            response.on(\"end\", () => resolve(azureResponse(response.statusCode, response.headers, Buffer.concat(chunks))));\n" +
+        "        });\n" +
+        "        request.on(\"error\", reject);\n" +
+        "        request.end(body);\n" +
+        "    });\n" +
+        "};";
+}
+exports.standaloneHandler = standaloneHandler;
+function functionJson(page, route) {
+    if (route === void 0) { route = page.processedRoute; }
+    return JSON.stringify({
+        bindings: [
+            {
+                authLevel: "anonymous",
+                type: "httpTrigger",
+                direction: "in",
+                name: "req",
+                methods: page.methods,
+                route: route
+            },
+            {
+                type: "http",
+                direction: "out",
+                name: "res"
+            }
+        ]
+    });
+}
+exports.functionJson = functionJson;
+/**
+ * Declares a function that handles every path matching the constraint
+ */
+function catchAllFunctionJson(routeConstraint) {
+    return JSON.stringify({
+        bindings: [
+            {
+                authLevel: "anonymous",
+                type: "httpTrigger",
+                direction: "in",
+                name: "req",
+                methods: ["get", "head", "post", "put", "patch", "delete", "options"],
+                // Braces have to be doubled inside route templates
+                route: "{*path:regex(" + routeConstraint.replace(/\{/g, "{{").replace(/\}/g, "}}") + ")}"
+            },
+            {
+                type: "http",
+                direction: "out",
+                name: "res"
+            }
+        ]
+    });
+}
+exports.catchAllFunctionJson = catchAllFunctionJson;
+function hostJson(basePath) {
+    if (basePath === void 0) { basePath = ""; }
+    return JSON.stringify({
+        version: "2.0",
+        extensions: {
+            http: {
+                routePrefix: basePath
+            }
+        }
+    });
+}
+exports.hostJson = hostJson;
+/**
+ * Patterns for the paths served by the asset proxies in `proxiesJson`
+ */
+exports.assetProxyPatterns = ["_next/.*", "[^/]+\\.[^/]+"];
+/**
+ * Prefixes a route, e.g., with the base path
+ */
+function prefixRoute(prefix, route) {
+    if (!prefix) {
+        return route;
+    }
+    return route === "/" ? prefix : prefix + "/" + route;
+}
+/**
+ * Generates the proxies for everything served from blob storage
+ *
+ * @param assetsUrl Url of the assets, including the base path
+ * @param basePath `basePath` from next.config.js without surrounding slashes, proxies don't use
+ * the route prefix functions do
+ * @param assetPrefix `assetPrefix` from next.config.js without surrounding slashes, if it is a path
+ */
+function proxies(assetsUrl, pages, dataFiles, rules, basePath, assetPrefix) {
+    if (dataFiles === void 0) { dataFiles = []; }
+    if (rules === void 0) { rules = { rewrites: [], redirects: [], headers: [] }; }
+    if (basePath === void 0) { basePath = ""; }
+    if (assetPrefix === void 0) { assetPrefix = basePath; }
+    var pageProxies = {};
+    // Generate proxies for static pages
+    for (var _i = 0, _a = pages.filter(function (p) { return p.isStatic && !p.isSpecial; }); _i < _a.length; _i++) {
+        var p = _a[_i];
+        pageProxies["proxy_" + p.identifier] = {
+            matchCondition: {
+                methods: ["GET"],
+                route: prefixRoute(basePath, p.processedRoute)
+            },
+            backendUri: url_1.resolve(assetsUrl, "_next/pages/" + p.targetPageFileName)
+        };
+    }
+    // Generate proxies for pre-rendered page data, regenerated data comes from the page functions
+    for (var _b = 0, _c = dataFiles.filter(function (d) { return !d.revalidates; }); _b < _c.length; _b++) {
+        var d = _c[_b];
+        pageProxies["proxy_" + d.identifier] = {
+            matchCondition: {
+                methods: ["GET"],
+                route: prefixRoute(basePath, d.dataRoute)
+            },
+            backendUri: url_1.resolve(assetsUrl, d.dataRoute)
+        };
+    }
+    // Add proxies for public assets
+    var proxies = __assign(__assign({ page_assets: {
+            matchCondition: {
+                methods: ["GET"],
+                route: prefixRoute(assetPrefix, "_next/static/{*asset}")
+            },
+            backendUri: assetsUrl + "_next/static/{asset}"
+        }, static_assets: {
+            matchCondition: {
+                methods: ["GET"],
+                route: prefixRoute(basePath, "{asset}.{ext}")
+            },
+            backendUri: assetsUrl + "public/{asset}.{ext}"
+        } }, pageProxies), nextRules_1.ruleProxies(rules, assetsUrl, pages));
+    // Attach the custom headers from next.config.js to everything served from storage
+    nextRules_1.applyHeaderRules(proxies, rules.headers, [
+        { name: "page_assets", prefix: (assetPrefix ? assetPrefix.split("/") : []).concat(["_next", "static"]), backendPrefix: assetsUrl + "_next/static/" },
+        { name: "static_assets", prefix: basePath ? basePath.split("/") : [], backendPrefix: assetsUrl + "public/", filesOnly: true }
+    ]);
+    return proxies;
+}
+exports.proxies = proxies;
+function proxiesJson(proxyDefinitions) {
+    return JSON.stringify({
+        proxies: proxyDefinitions
+    });
+}
+exports.proxiesJson = proxiesJson;
+/**
+ * Declares a function that stands in for a proxy on runtimes without proxy support
+ *
+ * @param route Route of the proxy relative to the route prefix
+ */
+function forwardingFunctionJson(proxy, route) {
+    var methods = proxy.matchCondition.methods;
+    return JSON.stringify({
+        bindings: [
+            {
+                authLevel: "anonymous",
+                type: "httpTrigger",
+                direction: "in",
+                name: "req",
+                methods: methods
+                    ? methods.map(function (m) { return m.toLowerCase(); })
+                    : ["get", "head", "post", "put", "patch", "delete", "options"],
+                route: route
+            },
+            {
+                type: "http",
+                direction: "out",
+                name: "res"
+            }
+        ]
+    });
+}
+exports.forwardingFunctionJson = forwardingFunctionJson;
+/**
+ * Generates a function that does what the proxy would: forwards the request to the backend, or
+ * answers with the overridden response if there is no backend, e.g., for redirects
+ *
+ * @param encodings Encodings of the compressed variants listed in compressed.json as
+ * `{ name, extension }`, preferred first, for proxies that serve assets from blob storage
+ * @param servesAssets Whether the backend is the assets URL, which only gets the request's headers
+ * about caching and encoding
+ */
+function forwardingHandler(proxy, encodings, servesAssets) {
+    if (encodings === void 0) { encodings = []; }
+    if (servesAssets === void 0) { servesAssets = false; }
+    var overrides = proxy.responseOverrides || {};
+    var statusCode = overrides["response.statusCode"];
+    var headers = Object.keys(overrides)
+        .filter(function (key) { return key.startsWith("response.headers."); })
+        .reduce(function (headers, key) {
+        headers[key.substring("response.headers.".length)] = overrides[key];
+        return headers;
+    }, {});
+    return "const http = require(\"http\");\n" +
+        "const https = require(\"https\");\n" +
+        "const { parse } = require(\"url\");\n\n" +
+        "const backendUri = " + JSON.stringify(proxy.backendUri || null) + ";\n" +
+        "const statusCode = " + JSON.stringify(statusCode ? Number(statusCode) : null) + ";\n" +
+        "const headers = " + JSON.stringify(headers) + ";\n" +
+        "const encodings = " + JSON.stringify(encodings) + ";\n" +
+        "const servesAssets = " + JSON.stringify(servesAssets) + ";\n" +
+        "const compressed = encodings.length > 0 ? loadCompressed() : {};\n" +
+        "// Hop-by-hop headers only apply to a single connection\n" +
+        "const skippedHeaders = [\"connection\", \"keep-alive\", \"transfer-encoding\", \"upgrade\", \"host\"];\n" +
+        "// Blob storage only gets headers about caching and encoding, never cookies or credentials\n" +
+        "const assetHeaders = [\"accept-encoding\", \"if-none-match\", \"if-modified-since\", \"range\"];\n\n" +
+        "function substitute(template, params) {\n" +
+        "    return template.replace(/\\{(\\w+)\\}/g, (_, name) => encodeURI(params[name] || \"\"));\n" +
+        "}\n\n" +
+        "function copyHeaders(source) {\n" +
+        "    return Object.keys(source)\n" +
+        "        .filter(name => !skippedHeaders.includes(name.toLowerCase()))\n" +
+        "        .reduce((result, name) => Object.assign(result, { [name]: source[name] }), {});\n" +
+        "}\n\n" +
+        "function copyAssetHeaders(source) {\n" +
+        "    return Object.keys(source)\n" +
+        "        .filter(name => assetHeaders.includes(name.toLowerCase()))\n" +
+        "        .reduce((result, name) => Object.assign(result, { [name]: source[name] }), {});\n" +
+        "}\n\n" +
+        "// Compressed variants of the assets by the path of their blob\n" +
+        "function loadCompressed() {\n" +
+        "    try {\n" +
+        "        return require(\"../compressed.json\");\n" +
+        "    } catch (e) {\n" +
+        "        return {};\n" +
+        "    }\n" +
+        "}\n\n" +
+        "function accepts(acceptEncoding, name) {\n" +
+        "    return (acceptEncoding || \"\").split(\",\").some(value => {\n" +
+        "        const [coding, ...params] = value.trim().toLowerCase().split(\";\");\n" +
+        "        return coding === name && !params.some(param => /^\\s*q=0(\\.0*)?\\s*$/.test(param));\n" +
+        "    });\n" +
+        "}\n\n" +
+        "module.exports = function (context, req) {\n" +
+        "    const resolvedHeaders = Object.keys(headers).reduce(\n" +
+        "        (result, name) => Object.assign(result, { [name]: substitute(headers[name], req.params) }),\n" +
+        "        {}\n" +
+        "    );\n" +
+        "    if (encodings.length > 0) {\n" +
+        "        resolvedHeaders[\"Vary\"] = \"Accept-Encoding\";\n" +
+        "    }\n" +
+        "    if (!backendUri) {\n" +
+        "        context.res = { status: statusCode || 200, headers: resolvedHeaders, body: \"\" };\n" +
+        "        return Promise.resolve();\n" +
+        "    }\n\n" +
+        "    // Calls to functions of this app go through its public host name\n" +
+        "    const resolved = parse(\n" +
+        "        substitute(backendUri, req.params).replace(/^https:\\/\\/localhost\\//, `https://${process.env.WEBSITE_HOSTNAME}/`)\n" +
+        "    );\n" +
+        "    const available = compressed[decodeURIComponent(resolved.pathname)] || [];\n" +
+        "    const encoding = encodings.find(\n" +
+        "        e => available.includes(e.name) && accepts(req.headers[\"accept-encoding\"], e.name)\n" +
+        "    );\n" +
+        "    const target = parse(\n" +
+        "        resolved.href + (encoding ? encoding.extension : \"\") + (parse(req.originalUrl).search || \"\")\n" +
+        "    );\n" +
+        "    const body = req.rawBody === undefined || req.rawBody === null ? \"\" : req.rawBody;\n\n" +
+        "    return new Promise((resolve, reject) => {\n" +
+        "        const request = (target.protocol === \"http:\" ? http : https).request(\n" +
+        "            {\n" +
+        "                protocol: target.protocol,\n" +
+        "                hostname: target.hostname,\n" +
+        "                port: target.port,\n" +
+        "                path: target.path,\n" +
+        "                method: req.method,\n" +
+        "                headers: servesAssets ? copyAssetHeaders(req.headers) : copyHeaders(req.headers)\n" +
+        "            },\n" +
+        "            response => {\n" +
+        "                const chunks = [];\n" +
+        "                response.on(\"data\", chunk => chunks.push(chunk));\n" +
+        "                response.on(\"end\", () => {\n" +
+        "                    context.res = {\n" +
+        "                        status: statusCode || response.statusCode,\n" +
+        "                        headers: Object.assign(copyHeaders(response.headers), resolvedHeaders),\n" +
+        "                        body: Buffer.concat(chunks),\n" +
+        "                        isRaw: true\n" +
+        "                    };\n" +
+        "                    resolve();\n" +
+        "                });\n" +
+        "                response.on(\"error\", reject);\n" +
+        "            }\n" +
+        "        );\n" +
+        "        request.on(\"error\", reject);\n" +
+        "        request.end(body);\n" +
+        "    });\n" +
+        "};";
+}
+exports.forwardingHandler = forwardingHandler;
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Reads the zip packages created by `createPackage`, so local targets can unpack them the way
+// Azure's run from package does. Only what archiver writes is supported: stored or deflated entries
+// without zip64 or encryption.
+
+const fse = require("fs-extra");
+const { resolve, sep } = require("path");
+const { inflateRawSync } = require("zlib");
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+function findEndOfCentralDirectory(buffer) {
+  // the record is at least 22 bytes and may be followed by a comment of up to 64KB
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; --offset) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error("Unable to read package: not a zip file.");
+}
+
+/**
+ * Reads every file in a zip package
+ *
+ * @returns The files as `{ name, data }`, directories are left out
+ */
+async function readZip(path) {
+  const buffer = await fse.readFile(path);
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; ++i) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("Unable to read package: corrupt central directory.");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer
+      .slice(offset + 46, offset + 46 + nameLength)
+      .toString("utf-8");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Unable to read package: corrupt entry '${name}'.`);
+    }
+    // the local header repeats the name, but its extra field may differ from the central one
+    const dataOffset =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.slice(dataOffset, dataOffset + compressedSize);
+
+    switch (method) {
+      case 0:
+        entries.push({ name, data });
+        break;
+      case 8:
+        entries.push({ name, data: inflateRawSync(data) });
+        break;
+      default:
+        throw new Error(
+          `Unable to read package: entry '${name}' uses unsupported compression method ${method}.`
+        );
+    }
+  }
+  return entries;
+}
+
+/**
+ * Unpacks a zip package into a folder, replacing what the folder held. Packages may come from
+ * storage, so an entry that would be written outside of the folder fails before anything is written.
+ */
+async function extractZip(path, destination) {
+  const root = resolve(destination);
+  const entries = (await readZip(path)).map(entry => {
+    const target = resolve(root, entry.name);
+    if (!target.startsWith(root + sep)) {
+      throw new Error(
+        `Unable to read package: entry '${entry.name}' is outside of the destination.`
+      );
+    }
+    return { target, data: entry.data };
+  });
+
+  await fse.emptyDir(root);
+  for (const { target, data } of entries) {
+    await fse.outputFile(target, data);
+  }
+}
+
+exports.readZip = readZip;
+exports.extractZip = extractZip;
@@ -0,0 +1,60 @@
+const { adapt } = require("../src/runtime/adapter");
+
+function request() {
+  return adapt({
+    method: "GET",
+    originalUrl: "https://app.azurewebsites.net/page?a=1",
+    headers: { Host: "app.azurewebsites.net" }
+  });
+}
+
+describe("Response.done", () => {
+  test("resolves once the handler ends the response", async () => {
+    const { res } = request();
+
+    await res.done(
+      Promise.resolve().then(() => {
+        res.setHeader("Content-Type", "text/plain");
+        res.end("hello");
+      })
+    );
+
+    expect(res.toAzure()).toMatchObject({
+      status: 200,
+      headers: { "Content-Type": "text/plain" }
+    });
+    expect(res.toAzure().body.toString()).toBe("hello");
+  });
+
+  test("keeps a response the handler ended before resolving", async () => {
+    const { res } = request();
+    res.statusCode = 404;
+    res.end("missing");
+
+    await res.done(new Promise(resolve => setTimeout(resolve, 10)));
+
+    expect(res.toAzure().status).toBe(404);
+    expect(res.toAzure().body.toString()).toBe("missing");
+  });
+
+  test("rejects with the error of the handler", async () => {
+    const { res } = request();
+
+    await expect(res.done(Promise.reject(new Error("boom")))).rejects.toThrow(
+      "boom"
+    );
+  });
+
+  test("ends a response the handler leaves open as a 500", async () => {
+    const { res } = request();
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await res.done(Promise.resolve());
+
+    expect(res.toAzure().status).toBe(500);
+    expect(warn).toHaveBeenCalledWith(
+      "GET /page?a=1 resolved without ending the response"
+    );
+    warn.mockRestore();
+  });
+});
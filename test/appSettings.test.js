@@ -0,0 +1,97 @@
+const core = require("@actions/core");
+const fse = require("fs-extra");
+const os = require("os");
+const { join } = require("path");
+
+const { parseEnvFile, applyAppSettings } = require("../src/appSettings");
+
+describe("parseEnvFile", () => {
+  test("reads KEY=value lines between comments and blank lines", () => {
+    const content = [
+      "﻿# database",
+      "",
+      "export HOST=db.example.com",
+      "PORT = 5432 # default",
+      "EMPTY=",
+      "URL=https://example.com/#anchor"
+    ].join("\r\n");
+
+    expect(parseEnvFile(content, ".env")).toEqual({
+      HOST: "db.example.com",
+      PORT: "5432",
+      EMPTY: "",
+      URL: "https://example.com/#anchor"
+    });
+  });
+
+  test("reads quoted values, escapes only in double quotes", () => {
+    const content = [
+      'DOUBLE="a \\"b\\"\\nc" # comment',
+      "SINGLE='a \\n b'",
+      'MULTI="line 1',
+      'line 2"'
+    ].join("\n");
+
+    expect(parseEnvFile(content, ".env")).toEqual({
+      DOUBLE: 'a "b"\nc',
+      SINGLE: "a \\n b",
+      MULTI: "line 1\nline 2"
+    });
+  });
+
+  test.each([
+    ["A=1\nnot a setting", "line 2 isn't of the form KEY=value"],
+    ['A=1\nB="open\nC=2', "the value of B on line 2 has no closing quote"]
+  ])("rejects %j", (content, message) => {
+    expect(() => parseEnvFile(content, ".env")).toThrow(
+      `Unable to read app settings from '.env': ${message}`
+    );
+  });
+});
+
+describe("applyAppSettings", () => {
+  let sourcePath;
+  let setSecret;
+
+  beforeEach(async () => {
+    sourcePath = await fse.mkdtemp(join(os.tmpdir(), "publish-next-env-"));
+    setSecret = jest.spyOn(core, "setSecret").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fse.remove(sourcePath);
+  });
+
+  test("masks the values of the env file and sets what changed", async () => {
+    await fse.writeFile(
+      join(sourcePath, ".env"),
+      'TOKEN="first\nsecond"\nSAME=kept\nOVERRIDDEN=file\n'
+    );
+    const provider = {
+      getAppSettings: jest.fn(async () => ({ SAME: "kept", OLD: "x" })),
+      setAppSettings: jest.fn(async () => {}),
+      deleteAppSettings: jest.fn(async () => {})
+    };
+    const config = {
+      sourcePath,
+      appSettings: { envFile: ".env", removeUnmanaged: true },
+      appSecretsJSON: JSON.stringify({ OVERRIDDEN: "input" })
+    };
+
+    await applyAppSettings(provider, config, config);
+
+    expect(setSecret.mock.calls.map(call => call[0]).sort()).toEqual([
+      "first",
+      "input",
+      "kept",
+      "second"
+    ]);
+    expect(provider.setAppSettings).toHaveBeenCalledWith(config, {
+      OVERRIDDEN: "input",
+      TOKEN: "first\nsecond"
+    });
+    expect(provider.deleteAppSettings).toHaveBeenCalledWith(config, ["OLD"]);
+  });
+});
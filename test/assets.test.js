@@ -0,0 +1,97 @@
+const fse = require("fs-extra");
+const os = require("os");
+const { join } = require("path");
+
+const { uploadChangedAssets, pruneAssets } = require("../src/assets");
+
+// keeps documents and blobs in memory, like one storage account
+function storage() {
+  return {
+    documents: {},
+    blobs: new Set(),
+    async readDocument(config, name) {
+      return this.documents[name];
+    },
+    async writeDocument(config, name, document) {
+      this.documents[name] = JSON.parse(JSON.stringify(document));
+    },
+    async uploadAssets(config, source) {
+      for (const file of await listFiles(source)) {
+        this.blobs.add(file);
+      }
+    },
+    async deleteAssets(config, paths) {
+      paths.forEach(path => this.blobs.delete(path));
+    }
+  };
+}
+
+async function listFiles(dir, prefix = "") {
+  const files = [];
+  for (const entry of await fse.readdir(dir, { withFileTypes: true })) {
+    const path = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(join(dir, entry.name), `${path}/`)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+describe("assets", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fse.mkdtemp(join(os.tmpdir(), "publish-next-assets-"));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fse.remove(dir);
+  });
+
+  async function deploy(provider, name, basePath, file) {
+    const config = {
+      name,
+      buildOutputPath: join(dir, name),
+      assetsRetentionDays: 0
+    };
+    const source = join(dir, name, "static");
+    await fse.emptyDir(source);
+    await fse.outputFile(join(source, file), file);
+    const uploads = [{ source, destinationPath: `${basePath}_next/static` }];
+    const deployed = await uploadChangedAssets(provider, config, uploads);
+    await pruneAssets(provider, config, deployed);
+    return deployed;
+  }
+
+  test("keeps the blobs of other apps in the storage account", async () => {
+    const provider = storage();
+
+    await deploy(provider, "site", "", "site-1.js");
+    await deploy(provider, "docs", "docs/", "docs-1.js");
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await deploy(provider, "docs", "docs/", "docs-2.js");
+
+    expect(Array.from(provider.blobs).sort()).toEqual([
+      "_next/static/site-1.js",
+      "docs/_next/static/docs-2.js"
+    ]);
+    expect(Object.keys(provider.documents).sort()).toEqual([
+      "docs/assets.json",
+      "site/assets.json"
+    ]);
+  });
+
+  test("skips unchanged files", async () => {
+    const provider = storage();
+    const upload = jest.spyOn(provider, "uploadAssets");
+
+    await deploy(provider, "site", "", "main.js");
+    await deploy(provider, "site", "", "main.js");
+
+    expect(upload).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,204 @@
+const {
+  loadHeaderRules,
+  loadNextRules,
+  ruleProxies,
+  rulePatterns
+} = require("../src/nextRules");
+const { fallbackConstraint } = require("../src/routing");
+
+describe("loadNextRules", () => {
+  test("translates sources into segments below the base path", async () => {
+    const rules = await loadNextRules({
+      basePath: "/docs",
+      rewrites: async () => [
+        { source: "/old/:slug", destination: "/new/:slug" }
+      ],
+      redirects: async () => [
+        { source: "/a", destination: "/b", permanent: true },
+        { source: "/out", destination: "https://example.com", basePath: false }
+      ]
+    });
+
+    expect(rules.basePath).toBe("docs");
+    expect(rules.rewrites[0].segments).toEqual([
+      { literal: "docs" },
+      { literal: "old" },
+      { name: "slug", modifier: "" }
+    ]);
+    expect(rules.redirects.map(r => [r.destination, r.statusCode])).toEqual([
+      ["/docs/b", 308],
+      ["https://example.com", 307]
+    ]);
+    expect(rules.redirects[1].segments).toEqual([{ literal: "out" }]);
+  });
+
+  test("reads rewrites split into phases", async () => {
+    const rules = await loadNextRules({
+      rewrites: async () => ({
+        beforeFiles: [{ source: "/a", destination: "/b" }],
+        fallback: [{ source: "/c", destination: "/d" }]
+      })
+    });
+
+    expect(rules.rewrites.map(r => r.source)).toEqual(["/a", "/c"]);
+  });
+
+  test.each([
+    [
+      { source: "/blog/:id(\\d+)", destination: "/b" },
+      "regex patterns can't be expressed as Azure routes"
+    ],
+    [
+      { source: "/a", destination: "/b", has: [{ type: "query", key: "x" }] },
+      "'has' and 'missing' conditions are not supported"
+    ],
+    [
+      { source: "/:path*/edit", destination: "/b" },
+      "'*' parameters must be the last part of the path"
+    ],
+    [{ source: "a", destination: "/b" }, "source must start with '/'"]
+  ])("rejects the rewrite %j", async (rule, message) => {
+    await expect(
+      loadNextRules({ rewrites: async () => [rule] })
+    ).rejects.toThrow(message);
+  });
+});
+
+describe("loadHeaderRules", () => {
+  test("builds a pattern for every rule", async () => {
+    const headers = await loadHeaderRules({
+      headers: async () => [
+        {
+          source: "/_next/static/:path*",
+          headers: [{ key: "X-Static", value: "1" }]
+        }
+      ]
+    });
+
+    expect(headers).toHaveLength(1);
+    expect(headers[0].headers).toEqual({ "X-Static": "1" });
+    const regex = new RegExp(headers[0].pattern, "i");
+    expect(regex.test("/_next/static/chunks/main.js")).toBe(true);
+    expect(regex.test("/_next/data/build/index.json")).toBe(false);
+  });
+
+  test("leaves rewrites and redirects Azure can't express alone", async () => {
+    const rewrites = jest.fn(async () => [
+      { source: "/blog/:id(\\d+)", destination: "/b" }
+    ]);
+    const redirects = jest.fn(async () => [
+      {
+        source: "/a",
+        destination: "/b",
+        missing: [{ type: "cookie", key: "x" }]
+      }
+    ]);
+
+    await expect(
+      loadHeaderRules({ rewrites, redirects, headers: async () => [] })
+    ).resolves.toEqual([]);
+    expect(rewrites).not.toHaveBeenCalled();
+    expect(redirects).not.toHaveBeenCalled();
+  });
+
+  test("keeps values with colons that aren't parameters", async () => {
+    const headers = await loadHeaderRules({
+      headers: async () => [
+        {
+          source: "/blog/:slug",
+          headers: [
+            { key: "Expires", value: "Wed, 21 Oct 2015 07:28:00 GMT" },
+            { key: "Link", value: "<https://example.com:8443/a>; rel=preload" },
+            { key: "X-Note", value: "see :slugs" }
+          ]
+        }
+      ]
+    });
+
+    expect(headers[0].headers).toEqual({
+      Expires: "Wed, 21 Oct 2015 07:28:00 GMT",
+      Link: "<https://example.com:8443/a>; rel=preload",
+      "X-Note": "see :slugs"
+    });
+  });
+
+  test("rejects parameters in header values", async () => {
+    await expect(
+      loadHeaderRules({
+        headers: async () => [
+          { source: "/:slug", headers: [{ key: "X-Slug", value: ":slug" }] }
+        ]
+      })
+    ).rejects.toThrow("parameters in the value of 'X-Slug' are not supported");
+  });
+});
+
+describe("ruleProxies", () => {
+  test("writes a proxy per redirect and rewrite", async () => {
+    const rules = await loadNextRules({
+      redirects: async () => [
+        { source: "/old/:slug*", destination: "/new/:slug*", permanent: false }
+      ],
+      rewrites: async () => [
+        {
+          source: "/api/:path*",
+          destination: "https://api.example.com/:path*"
+        },
+        { source: "/about-us", destination: "/about" }
+      ]
+    });
+    const pages = [
+      {
+        isStatic: true,
+        processedRoute: "about",
+        targetPageFileName: "about.html"
+      }
+    ];
+
+    expect(
+      ruleProxies(rules, "https://sa.blob.core.windows.net/assets/", pages)
+    ).toEqual({
+      redirect_0: {
+        matchCondition: { route: "old/{*slug}" },
+        responseOverrides: {
+          "response.statusCode": "307",
+          "response.headers.Location": "/new/{slug}"
+        }
+      },
+      rewrite_0: {
+        matchCondition: { route: "api/{*path}" },
+        backendUri: "https://api.example.com/{path}"
+      },
+      rewrite_1: {
+        matchCondition: { route: "about-us" },
+        backendUri:
+          "https://sa.blob.core.windows.net/assets/_next/pages/about.html"
+      }
+    });
+  });
+});
+
+describe("rulePatterns", () => {
+  test("keeps a fallback below the base path off the rules' paths", async () => {
+    const rules = await loadNextRules({
+      basePath: "/docs",
+      redirects: async () => [
+        { source: "/old/:slug*", destination: "/new", permanent: true },
+        { source: "/out", destination: "/in", basePath: false, permanent: true }
+      ],
+      rewrites: async () => [
+        { source: "/p-:id/:rest+", destination: "/page" },
+        { source: "/tab/:name?", destination: "/page" }
+      ]
+    });
+    const fallback = new RegExp(fallbackConstraint([], rulePatterns(rules)));
+
+    expect(rulePatterns(rules)).toHaveLength(3);
+    for (const path of ["old", "old/a/b", "p-1/a", "tab", "tab/x"]) {
+      expect(fallback.test(path)).toBe(false);
+    }
+    for (const path of ["older", "p-1", "tab/x/y", "out"]) {
+      expect(fallback.test(path)).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const fse = require("fs-extra");
+const https = require("https");
+const os = require("os");
+const { join } = require("path");
+
+const { createPreviewServer, compileRoute } = require("../src/preview");
+
+describe("compileRoute", () => {
+  test("resolves the parameters of a matching path", () => {
+    const route = compileRoute("blog/{id}/comments/{page?}");
+
+    expect(route.match("blog/1/comments")).toEqual({ id: "1" });
+    expect(route.match("blog/1/comments/2/")).toEqual({ id: "1", page: "2" });
+    expect(route.match("BLOG/1/Comments")).toEqual({ id: "1" });
+    expect(route.match("blog/1/2/comments")).toBeUndefined();
+  });
+
+  test("matches a wildcard with any number of segments", () => {
+    const route = compileRoute("/docs/{*path}");
+
+    expect(route.match("docs")).toEqual({});
+    expect(route.match("docs/a/b")).toEqual({ path: "a/b" });
+    expect(route.match("documents")).toBeUndefined();
+  });
+
+  test("applies regex constraints, also to an empty wildcard", () => {
+    const required = compileRoute("docs/{*path:regex(.+)}");
+    const numeric = compileRoute("blog/{id:regex(^\\d+$)}");
+
+    expect(required.match("docs")).toBeUndefined();
+    expect(required.match("docs/a")).toEqual({ path: "a" });
+    expect(numeric.match("blog/12")).toEqual({ id: "12" });
+    expect(numeric.match("blog/latest")).toBeUndefined();
+  });
+
+  test("reads doubled braces as part of a constraint", () => {
+    const route = compileRoute("year/{year:regex(^\\d{{4}}$)}");
+
+    expect(route.match("year/2020")).toEqual({ year: "2020" });
+    expect(route.match("year/20")).toBeUndefined();
+  });
+
+  test("ranks literal before parameter before wildcard segments", () => {
+    const ranks = ["blog/latest", "blog/{id}", "blog/{*path}", "{*path}"].map(
+      template => compileRoute(template).rank
+    );
+
+    expect(ranks).toEqual([[1, 1], [1, 2], [1, 3], [3]]);
+  });
+
+  test("rejects a malformed parameter", () => {
+    expect(() => compileRoute("blog/{id-x}")).toThrow(
+      "Unable to parse route parameter '{id-x}'."
+    );
+  });
+});
+
+describe("createPreviewServer", () => {
+  let wwwroot;
+
+  beforeEach(async () => {
+    wwwroot = await fse.mkdtemp(join(os.tmpdir(), "publish-next-preview-"));
+  });
+
+  afterEach(async () => {
+    await fse.remove(wwwroot);
+  });
+
+  test("redirects requests of functions only while it listens", async () => {
+    const request = https.request;
+    const hostname = process.env.WEBSITE_HOSTNAME;
+    const server = await createPreviewServer({
+      wwwroot,
+      assetsPath: join(wwwroot, "assets"),
+      publicPath: join(wwwroot, "public")
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    expect(https.request).not.toBe(request);
+    expect(process.env.WEBSITE_HOSTNAME).toBe(
+      `localhost:${server.address().port}`
+    );
+
+    await new Promise(resolve => server.close(resolve));
+    expect(https.request).toBe(request);
+    expect(process.env.WEBSITE_HOSTNAME).toBe(hostname);
+  });
+});
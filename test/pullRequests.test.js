@@ -0,0 +1,113 @@
+const core = require("@actions/core");
+const github = require("@actions/github");
+const fse = require("fs-extra");
+const os = require("os");
+const { join } = require("path");
+
+const local = require("../src/providers/local");
+const { deploy } = require("../src/index");
+const {
+  pullRequestConfig,
+  cleanupPullRequests
+} = require("../src/pullRequests");
+
+describe("cleanupPullRequests", () => {
+  let dir;
+  let base;
+  let pullRequests;
+
+  beforeEach(async () => {
+    dir = await fse.mkdtemp(join(os.tmpdir(), "publish-next-cleanup-"));
+    base = {
+      provider: "local",
+      localPath: dir,
+      resourceGroup: "rg",
+      location: "westeurope",
+      storageAccount: "sa",
+      name: "app",
+      assetsContainerName: "assets",
+      releasesContainerName: "releases",
+      buildOutputPath: join(dir, "build")
+    };
+    pullRequests = {};
+    process.env.GITHUB_REPOSITORY = "owner/repo";
+    jest.spyOn(core, "getInput").mockReturnValue("token");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(core, "warning").mockImplementation(() => {});
+    github.GitHub = jest.fn(() => ({
+      pulls: {
+        get: jest.fn(async ({ pull_number }) => {
+          if (!pullRequests[pull_number]) {
+            throw Object.assign(new Error("Not Found"), { status: 404 });
+          }
+          return { data: pullRequests[pull_number] };
+        })
+      }
+    }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete github.context.payload.pull_request;
+    await fse.remove(dir);
+  });
+
+  async function deployPullRequest(id, number, provider = local) {
+    github.context.payload.pull_request = { id, number };
+    const config = Object.assign(pullRequestConfig(base, String(id)), {
+      isPullRequest: true
+    });
+    await deploy(provider, config, config);
+  }
+
+  function functionApps() {
+    return fse.readdir(join(dir, "rg", "functionapps")).catch(() => []);
+  }
+
+  function containers() {
+    return fse.readdir(join(dir, "rg", "storage", "prsa"));
+  }
+
+  test("deletes the environment of a pull request whose first deploy failed", async () => {
+    const failing = Object.assign({}, local, {
+      ensureFunctionApp: async () => {
+        throw new Error("quota exceeded");
+      }
+    });
+    await expect(deployPullRequest(111, 1, failing)).rejects.toThrow(
+      "quota exceeded"
+    );
+    expect(await containers()).toEqual(["assets-111", "releases-111"]);
+
+    pullRequests[1] = { number: 1, state: "closed", merged_at: null };
+    await cleanupPullRequests(local, base);
+
+    expect(await containers()).toEqual([]);
+  });
+
+  test("keeps environments of open pull requests and those not recorded", async () => {
+    await fse.ensureDir(join(dir, "rg", "functionapps", "app-222"));
+    await fse.ensureDir(join(dir, "rg", "functionapps", "app-333"));
+    await fse.ensureDir(join(dir, "rg", "storage", "prsa", "releases-222"));
+    await local.writeDocument(
+      pullRequestConfig(base, "222"),
+      "pull-request.json",
+      { id: "222", number: 2, repository: "owner/repo" }
+    );
+    await fse.ensureDir(join(dir, "rg", "functionapps", "app-444"));
+    await local.writeDocument(
+      pullRequestConfig(base, "444"),
+      "pull-request.json",
+      { id: "444", number: 4, repository: "owner/repo" }
+    );
+    pullRequests[2] = {
+      number: 2,
+      state: "open",
+      updated_at: new Date().toISOString()
+    };
+
+    await cleanupPullRequests(local, base);
+
+    expect(await functionApps()).toEqual(["app-222", "app-333"]);
+  });
+});
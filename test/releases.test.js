@@ -0,0 +1,73 @@
+const fse = require("fs-extra");
+const os = require("os");
+const { join } = require("path");
+
+const local = require("../src/providers/local");
+const { recordRelease, fetchRelease } = require("../src/releases");
+
+describe("releases", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fse.mkdtemp(join(os.tmpdir(), "publish-next-releases-"));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fse.remove(dir);
+  });
+
+  function appConfig(name, overrides) {
+    return Object.assign(
+      {
+        name,
+        localPath: join(dir, "azure"),
+        resourceGroup: "rg",
+        storageAccount: "sa",
+        releasesContainerName: "releases",
+        buildOutputPath: join(dir, name),
+        releaseHistory: 2
+      },
+      overrides
+    );
+  }
+
+  async function record(name, sha) {
+    const config = appConfig(name, { sha, ref: "refs/heads/main" });
+    await fse.outputFile(join(config.buildOutputPath, "package.zip"), sha);
+    await recordRelease(local, config, []);
+  }
+
+  test("keeps the releases of apps sharing a storage account apart", async () => {
+    await record("site", "aaa111");
+    await record("docs", "ccc333");
+    await record("site", "bbb222");
+    await record("docs", "ddd444");
+    await record("docs", "eee555");
+
+    const releases = join(dir, "azure", "rg", "storage", "sa", "releases");
+    expect((await fse.readdir(join(releases, "site"))).sort()).toEqual([
+      "aaa111",
+      "bbb222",
+      "releases.json"
+    ]);
+    expect((await fse.readdir(join(releases, "docs"))).sort()).toEqual([
+      "ddd444",
+      "eee555",
+      "releases.json"
+    ]);
+
+    const site = appConfig("site", { rollback: "previous" });
+    const release = await fetchRelease(local, site);
+    expect(release.sha).toBe("aaa111");
+    expect(await fse.readFile(join(release.path, "package.zip"), "utf-8")).toBe(
+      "aaa111"
+    );
+
+    const docs = appConfig("docs", { rollback: "aaa" });
+    await expect(fetchRelease(local, docs)).rejects.toThrow(
+      "Unable to roll back: no release matches 'aaa'. Available releases: eee555, ddd444"
+    );
+  });
+});
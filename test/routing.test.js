@@ -0,0 +1,148 @@
+const {
+  applyRoutePrecedence,
+  fallbackConstraint,
+  routePattern,
+  escapeRegex
+} = require("../src/routing");
+
+function page(route) {
+  return { route, path: `pages/${route || "index"}.js` };
+}
+
+function matches(constraint, path) {
+  return new RegExp(constraint).test(path);
+}
+
+describe("applyRoutePrecedence", () => {
+  test("orders static before dynamic before catch-all routes", () => {
+    const { pages } = applyRoutePrecedence([
+      page("blog/[...slug]"),
+      page("blog/[id]"),
+      page("blog/latest"),
+      page("[...all]"),
+      page("")
+    ]);
+
+    expect(pages.map(p => p.route)).toEqual([
+      "",
+      "blog/latest",
+      "blog/[id]",
+      "blog/[...slug]",
+      "[...all]"
+    ]);
+  });
+
+  test("keeps lower priority routes off the paths of higher ones", () => {
+    const { pages, warnings } = applyRoutePrecedence([
+      page("blog/[...slug]"),
+      page("blog/[id]"),
+      page("blog/latest")
+    ]);
+    const [, dynamic, catchAll] = pages;
+
+    expect(warnings).toEqual([]);
+    expect(matches(dynamic.routeConstraints.id, "latest")).toBe(false);
+    expect(matches(dynamic.routeConstraints.id, "other")).toBe(true);
+    expect(matches(catchAll.routeConstraints.slug, "latest")).toBe(false);
+    expect(matches(catchAll.routeConstraints.slug, "post")).toBe(false);
+    expect(matches(catchAll.routeConstraints.slug, "post.json")).toBe(false);
+    expect(matches(catchAll.routeConstraints.slug, "2020/post")).toBe(true);
+  });
+
+  test("keeps required catch-alls off their parent route", () => {
+    const { pages } = applyRoutePrecedence([
+      page("docs/[...slug]"),
+      page("blog/[...slug]"),
+      page("blog/latest"),
+      page("shop/[[...slug]]")
+    ]);
+    const constraint = route =>
+      pages.find(p => p.route === route).routeConstraints.slug;
+
+    expect(constraint("docs/[...slug]")).toBe(".+");
+    expect(matches(constraint("docs/[...slug]"), "")).toBe(false);
+    expect(matches(constraint("blog/[...slug]"), "")).toBe(false);
+    expect(matches(constraint("blog/[...slug]"), "2020/post")).toBe(true);
+    expect(constraint("shop/[[...slug]]")).toBeUndefined();
+  });
+
+  test("warns about overlaps a constraint can't express", () => {
+    const { warnings } = applyRoutePrecedence([
+      page("[user]/[tab]"),
+      page("team/latest")
+    ]);
+
+    expect(warnings).toEqual([
+      "Route '/[user]/[tab]' overlaps with '/team/latest'. URLs under '/team' that 'pages/team/latest.js' does not handle will not be served by 'pages/[user]/[tab].js'."
+    ]);
+  });
+
+  test("leaves out special pages", () => {
+    const { pages } = applyRoutePrecedence([
+      page("about"),
+      Object.assign(page("_app"), { isSpecial: true })
+    ]);
+
+    expect(pages.map(p => p.route)).toEqual(["about"]);
+  });
+
+  test.each([
+    [
+      ["blog/[id]", "blog/[slug]"],
+      "use different parameter names for the same dynamic path ('id' !== 'slug')"
+    ],
+    [["[...a]/b"], "Catch-all must be the last part of the route"],
+    [
+      ["docs", "docs/[[...slug]]"],
+      "has the same specificity as the optional catch-all page"
+    ],
+    [["[id]/[id]"], "uses the parameter 'id' more than once"]
+  ])("rejects the routes %j", (routes, message) => {
+    expect(() => applyRoutePrecedence(routes.map(page))).toThrow(message);
+  });
+});
+
+describe("fallbackConstraint", () => {
+  test("only matches paths no page or reserved pattern serves", () => {
+    const constraint = fallbackConstraint(
+      [page("about"), page("blog/[id]")],
+      ["_next/static/.*"]
+    );
+
+    expect(matches(constraint, "about")).toBe(false);
+    expect(matches(constraint, "blog/1")).toBe(false);
+    expect(matches(constraint, "_next/static/main.js")).toBe(false);
+    expect(matches(constraint, "blog/1/comments")).toBe(true);
+    expect(matches(constraint, "missing")).toBe(true);
+  });
+
+  test("is null when a page serves every path", () => {
+    expect(fallbackConstraint([page("[[...all]]")], [])).toBeNull();
+  });
+});
+
+describe("routePattern", () => {
+  test("captures the parameters of the route", () => {
+    const { pattern, parameters } = routePattern("blog/[id]/[...rest]");
+    const match = new RegExp(pattern).exec("blog/1/a/b/");
+
+    expect(parameters).toEqual(["id", "rest"]);
+    expect(match.slice(1)).toEqual(["1", "a/b"]);
+  });
+
+  test("appends a literal suffix", () => {
+    const { pattern } = routePattern("_next/data/build/index", ".json");
+
+    expect(new RegExp(pattern).test("_next/data/build/index.json")).toBe(true);
+    expect(new RegExp(pattern).test("_next/data/build/indexxjson")).toBe(false);
+  });
+});
+
+describe("escapeRegex", () => {
+  test("matches text literally", () => {
+    const text = "a.b*c+d?e^f$g{2}h(i)j|k[l]m\\n";
+
+    expect(new RegExp(`^${escapeRegex(text)}$`).test(text)).toBe(true);
+    expect(escapeRegex("a{2}")).toBe("a\\{2\\}");
+  });
+});
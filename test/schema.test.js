@@ -0,0 +1,68 @@
+const { validate } = require("../src/schema");
+
+describe("validate", () => {
+  test("accepts settings and environment overlays", () => {
+    expect(
+      validate({
+        $schema: "./publish-next.schema.json",
+        name: "app",
+        functionsVersion: 3,
+        provider: "local",
+        smokeTests: { paths: ["/", { path: "/health", status: 200 }] },
+        environments: { production: { branches: ["main"], name: "app-prod" } }
+      })
+    ).toEqual([]);
+  });
+
+  test("reports every invalid value with its path", () => {
+    expect(
+      validate({
+        name: "",
+        functionsVersion: "5",
+        stagingSlot: "a b",
+        smokeTests: { paths: [{ path: "/", status: "200" }], attempts: 0 },
+        environments: { production: { provider: "gcp" } }
+      })
+    ).toEqual([
+      "Configuration value is invalid: name. Expected at least 1 characters, actual ''",
+      "Configuration value is invalid: functionsVersion. Expected one of '2', '3', '4', actual '5'",
+      "Configuration value is invalid: stagingSlot. Expected a value matching ^[a-zA-Z0-9-]+$, actual 'a b'",
+      "Configuration value is invalid: smokeTests.paths[0].status. Expected an integer, actual '200'",
+      "Configuration value is invalid: smokeTests.attempts. Expected 1 or more, actual '0'",
+      "Configuration value is invalid: environments.production.provider. Expected one of 'azure', 'local', actual 'gcp'"
+    ]);
+  });
+
+  test("suggests the setting an unknown name is close to", () => {
+    expect(
+      validate({
+        nmae: "app",
+        unrelated: true,
+        environments: { production: { branchs: ["main"], environments: {} } }
+      })
+    ).toEqual([
+      "Configuration value is invalid: nmae. Unknown setting, did you mean 'name'?",
+      "Configuration value is invalid: unrelated. Unknown setting",
+      "Configuration value is invalid: environments.production.branchs. Unknown setting, did you mean 'branches'?",
+      "Configuration value is invalid: environments.production.environments. Unknown setting"
+    ]);
+  });
+
+  test("validates against a definition", () => {
+    expect(validate({ name: "app" }, "#/$defs/deployment")).toEqual([
+      "Configuration value is missing: subscriptionId",
+      "Configuration value is missing: resourceGroup",
+      "Configuration value is missing: location",
+      "Configuration value is missing: storageAccount"
+    ]);
+    expect(validate([], "#/$defs/configuration")).toEqual([
+      "Configuration value is invalid: configuration. Expected an object, actual '[]'"
+    ]);
+  });
+
+  test("rejects references outside the schema", () => {
+    expect(() => validate({}, "other.json#/$defs/settings")).toThrow(
+      "Unable to resolve schema reference 'other.json#/$defs/settings'"
+    );
+  });
+});
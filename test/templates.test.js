@@ -0,0 +1,78 @@
+const fse = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const { join } = require("path");
+
+const { forwardingHandler } = require("../src/templates");
+
+describe("forwardingHandler", () => {
+  let dir;
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    dir = await fse.mkdtemp(join(os.tmpdir(), "publish-next-forward-"));
+    server = http.createServer((req, res) =>
+      res.end(JSON.stringify(req.headers))
+    );
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fse.remove(dir);
+  });
+
+  async function forward(servesAssets) {
+    const path = join(dir, `${servesAssets ? "asset" : "rewrite"}.js`);
+    await fse.writeFile(
+      path,
+      forwardingHandler(
+        {
+          matchCondition: { route: "{*path}" },
+          backendUri: `http://127.0.0.1:${port}/{path}`
+        },
+        [],
+        servesAssets
+      )
+    );
+    const context = {};
+    await require(path)(context, {
+      method: "POST",
+      originalUrl: "https://app.azurewebsites.net/a",
+      params: { path: "a" },
+      headers: {
+        host: "app.azurewebsites.net",
+        connection: "keep-alive",
+        cookie: "session=1",
+        authorization: "Bearer token",
+        "content-type": "application/json",
+        "if-none-match": '"etag"'
+      },
+      rawBody: "{}"
+    });
+    return JSON.parse(context.res.body.toString("utf-8"));
+  }
+
+  test("forwards only caching and encoding headers to assets", async () => {
+    const headers = await forward(true);
+
+    expect(headers["if-none-match"]).toBe('"etag"');
+    expect(headers).not.toHaveProperty("cookie");
+    expect(headers).not.toHaveProperty("authorization");
+    expect(headers).not.toHaveProperty("content-type");
+  });
+
+  test("forwards every header but hop-by-hop ones to rewrites", async () => {
+    const headers = await forward(false);
+
+    expect(headers).toMatchObject({
+      cookie: "session=1",
+      authorization: "Bearer token",
+      "content-type": "application/json",
+      "if-none-match": '"etag"',
+      host: `127.0.0.1:${port}`
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const archiver = require("archiver");
+const fse = require("fs-extra");
+const os = require("os");
+const { join } = require("path");
+
+const { readZip, extractZip } = require("../src/zip");
+
+// writes a zip of stored entries by hand, archiver normalizes the names these tests need
+function storedZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuffer = Buffer.from(name, "utf-8");
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat([directory, end]));
+}
+
+function archive(path, files) {
+  return new Promise((resolve, reject) => {
+    const output = fse.createWriteStream(path);
+    output.on("finish", resolve);
+    output.on("error", reject);
+    const zip = archiver("zip");
+    zip.on("error", reject).pipe(output);
+    for (const [name, content] of Object.entries(files)) {
+      zip.append(content, { name });
+    }
+    zip.finalize();
+  });
+}
+
+describe("zip", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fse.mkdtemp(join(os.tmpdir(), "publish-next-zip-"));
+  });
+
+  afterEach(async () => {
+    await fse.remove(dir);
+  });
+
+  test("reads the stored and deflated entries archiver writes", async () => {
+    const path = join(dir, "package.zip");
+    await archive(path, {
+      "host.json": "{}",
+      "api/index.js": "x".repeat(4096)
+    });
+
+    const entries = await readZip(path);
+
+    expect(
+      entries.map(entry => [entry.name, entry.data.toString("utf-8")])
+    ).toEqual([
+      ["host.json", "{}"],
+      ["api/index.js", "x".repeat(4096)]
+    ]);
+  });
+
+  test("fails on a file that isn't a zip", async () => {
+    const path = join(dir, "package.zip");
+    await fse.outputFile(path, "not a zip");
+
+    await expect(readZip(path)).rejects.toThrow(
+      "Unable to read package: not a zip file."
+    );
+  });
+
+  test("extracts into the destination, replacing what it held", async () => {
+    const path = join(dir, "package.zip");
+    const destination = join(dir, "wwwroot");
+    await fse.outputFile(join(destination, "stale.js"), "");
+    await fse.writeFile(
+      path,
+      storedZip([{ name: "a/b.txt", data: Buffer.from("b") }])
+    );
+
+    await extractZip(path, destination);
+
+    expect(await fse.readdir(destination)).toEqual(["a"]);
+    expect(await fse.readFile(join(destination, "a/b.txt"), "utf-8")).toBe("b");
+  });
+
+  test.each(["../outside.txt", "a/../../outside.txt", "/tmp/outside.txt"])(
+    "rejects the entry '%s' before writing anything",
+    async name => {
+      const path = join(dir, "package.zip");
+      const destination = join(dir, "wwwroot");
+      await fse.outputFile(join(destination, "kept.js"), "");
+      await fse.writeFile(
+        path,
+        storedZip([
+          { name: "inside.txt", data: Buffer.from("in") },
+          { name, data: Buffer.from("out") }
+        ])
+      );
+
+      await expect(extractZip(path, destination)).rejects.toThrow(
+        `Unable to read package: entry '${name}' is outside of the destination.`
+      );
+      expect(await fse.readdir(destination)).toEqual(["kept.js"]);
+      expect(await fse.pathExists(join(dir, "outside.txt"))).toBe(false);
+    }
+  );
+});